@@ -0,0 +1,16 @@
+// Login brute-force protection configuration
+
+// Read lazily, since environment variables are loaded after modules are imported
+const getLoginProtectionConfig = () => ({
+  // Failed logins for one email address before it is locked
+  maxAccountFailures: parseInt(process.env.LOGIN_MAX_ACCOUNT_FAILURES) || 5,
+  // Failed logins from one IP address before it is locked
+  maxIpFailures: parseInt(process.env.LOGIN_MAX_IP_FAILURES) || 20,
+  // How long a lockout lasts, and how long failures are remembered
+  lockoutMinutes: parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15,
+  // Delay after the first failure, doubled after each further failure
+  baseDelaySeconds: parseInt(process.env.LOGIN_BASE_DELAY_SECONDS) || 1,
+  maxDelaySeconds: parseInt(process.env.LOGIN_MAX_DELAY_SECONDS) || 30,
+});
+
+export default getLoginProtectionConfig;
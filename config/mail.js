@@ -0,0 +1,12 @@
+// Outgoing mail configuration
+
+// Read lazily, since environment variables are loaded after modules are imported
+const getMailConfig = () => ({
+  // Mail transport name, see mail/index.js
+  transport: process.env.MAIL_TRANSPORT || "console",
+  from: process.env.MAIL_FROM || "Task Manager <no-reply@localhost>",
+  // Directory used by the file transport
+  fileDir: process.env.MAIL_DIR || "mail-outbox",
+});
+
+export default getMailConfig;
@@ -0,0 +1,28 @@
+// Due-date reminder configuration
+
+const parseOffsets = (value) =>
+  value
+    .split(",")
+    .map((offset) => parseInt(offset))
+    .filter((offset) => offset > 0);
+
+// Read lazily, since environment variables are loaded after modules are imported
+const getReminderConfig = () => ({
+  // Minutes before a task's due date that reminders are sent, for users who
+  // have not set their own
+  defaultOffsets: process.env.REMINDER_OFFSETS_MINUTES
+    ? parseOffsets(process.env.REMINDER_OFFSETS_MINUTES)
+    : [24 * 60, 60],
+  // How often the reminder job runs, in minutes
+  checkIntervalMinutes:
+    parseInt(process.env.REMINDER_CHECK_INTERVAL_MINUTES) || 5,
+  // Tasks that went overdue longer ago than this get no overdue notice, so
+  // old overdue tasks are not announced when the job first runs
+  overdueWindowHours: parseInt(process.env.OVERDUE_NOTICE_WINDOW_HOURS) || 24,
+});
+
+// Limits on the reminder offsets users can set
+export const MAX_REMINDER_OFFSETS = 5;
+export const MAX_REMINDER_OFFSET_MINUTES = 30 * 24 * 60;
+
+export default getReminderConfig;
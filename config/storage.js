@@ -0,0 +1,36 @@
+// Attachment storage configuration
+const MB = 1024 * 1024;
+
+const DEFAULT_ALLOWED_TYPES = [
+  "image/png",
+  "image/jpeg",
+  "image/gif",
+  "image/webp",
+  "application/pdf",
+  "text/plain",
+  "text/csv",
+  "application/zip",
+  "application/msword",
+  "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+  "application/vnd.ms-excel",
+  "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+];
+
+// Read lazily, since environment variables are loaded after modules are imported
+const getStorageConfig = () => ({
+  // Storage adapter name, see storage/index.js
+  driver: process.env.ATTACHMENT_STORAGE || "local",
+  // Directory used by the local disk adapter
+  localDir: process.env.ATTACHMENT_DIR || "uploads",
+  // Largest single file, in bytes
+  maxFileSize: parseInt(process.env.ATTACHMENT_MAX_FILE_SIZE) || 10 * MB,
+  // Largest total size of all attachments on one task, in bytes
+  maxTaskSize: parseInt(process.env.ATTACHMENT_MAX_TASK_SIZE) || 50 * MB,
+  allowedTypes: process.env.ATTACHMENT_ALLOWED_TYPES
+    ? process.env.ATTACHMENT_ALLOWED_TYPES.split(",").map((type) =>
+        type.trim()
+      )
+    : DEFAULT_ALLOWED_TYPES,
+});
+
+export default getStorageConfig;
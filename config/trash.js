@@ -0,0 +1,18 @@
+// Task trash configuration
+
+// Read lazily, since environment variables are loaded after modules are imported
+const getTrashConfig = () => ({
+  // Days a trashed task can still be restored before it is purged
+  retentionDays: parseInt(process.env.TRASH_RETENTION_DAYS) || 30,
+  // How often the purge job runs, in minutes
+  purgeIntervalMinutes:
+    parseInt(process.env.TRASH_PURGE_INTERVAL_MINUTES) || 60,
+});
+
+// Time at which a task trashed at deletedAt will be purged
+export const getPurgeDate = (deletedAt) =>
+  new Date(
+    deletedAt.getTime() + getTrashConfig().retentionDays * 24 * 60 * 60 * 1000
+  );
+
+export default getTrashConfig;
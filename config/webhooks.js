@@ -0,0 +1,19 @@
+// Webhook delivery configuration
+
+// Read lazily, since environment variables are loaded after modules are imported
+const getWebhookConfig = () => ({
+  // Attempts made at delivering an event before it is marked as failed
+  maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 8,
+  // Wait before the first retry; it doubles after every failed attempt
+  retryBaseSeconds: parseInt(process.env.WEBHOOK_RETRY_BASE_SECONDS) || 30,
+  // How long a receiver has to respond
+  timeoutSeconds: parseInt(process.env.WEBHOOK_TIMEOUT_SECONDS) || 10,
+  // How often the delivery job looks for due deliveries
+  deliveryIntervalSeconds:
+    parseInt(process.env.WEBHOOK_DELIVERY_INTERVAL_SECONDS) || 15,
+});
+
+// Longest wait between two attempts, however many have failed
+export const MAX_RETRY_DELAY_SECONDS = 6 * 60 * 60;
+
+export default getWebhookConfig;
@@ -0,0 +1,87 @@
+import { validationResult } from "express-validator";
+import PersonalAccessToken, {
+  TOKEN_SCOPES,
+} from "../models/PersonalAccessToken.js";
+import { asyncHandler } from "../middleware/errorHandler.js";
+
+// @desc    Get current user's personal access tokens
+// @route   GET /api/auth/tokens
+// @access  Private
+export const getAccessTokens = asyncHandler(async (req, res) => {
+  const tokens = await PersonalAccessToken.find({ user: req.user._id }).sort({
+    createdAt: -1,
+  });
+
+  res.status(200).json({
+    success: true,
+    count: tokens.length,
+    data: tokens,
+    availableScopes: TOKEN_SCOPES,
+  });
+});
+
+// @desc    Create a personal access token
+// @route   POST /api/auth/tokens
+// @access  Private
+export const createAccessToken = asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: errors.array(),
+    });
+  }
+
+  const { name, scopes, expiresInDays } = req.body;
+  const expiresAt = expiresInDays
+    ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000)
+    : null;
+
+  const { token, doc } = await PersonalAccessToken.issue({
+    user: req.user,
+    name,
+    scopes,
+    expiresAt,
+  });
+
+  res.status(201).json({
+    success: true,
+    message: "Access token created. Copy it now; it will not be shown again.",
+    data: doc,
+    token,
+  });
+});
+
+// @desc    Revoke a personal access token
+// @route   DELETE /api/auth/tokens/:id
+// @access  Private
+export const revokeAccessToken = asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: errors.array(),
+    });
+  }
+
+  const token = await PersonalAccessToken.findOneAndDelete({
+    _id: req.params.id,
+    user: req.user._id,
+  });
+
+  if (!token) {
+    return res.status(404).json({
+      success: false,
+      message: "Access token not found",
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: "Access token revoked successfully",
+  });
+});
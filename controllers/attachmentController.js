@@ -0,0 +1,174 @@
+import Task from "../models/Task.js";
+import getStorageConfig from "../config/storage.js";
+import { getStorage } from "../storage/index.js";
+import { asyncHandler } from "../middleware/errorHandler.js";
+import { can } from "../utils/policy.js";
+import { emitTaskEvent } from "../socket/taskEvents.js";
+
+// @desc    Upload attachment to task
+// @route   POST /api/tasks/:id/attachments
+// @access  Private
+export const uploadAttachment = asyncHandler(async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({
+      success: false,
+      message: "A file is required in the 'file' field",
+    });
+  }
+
+  const task = await Task.findById(req.params.id);
+
+  if (!task) {
+    return res.status(404).json({
+      success: false,
+      message: "Task not found",
+    });
+  }
+
+  // Enforce the total attachment size per task
+  const { maxTaskSize } = getStorageConfig();
+  const usedSize = task.attachments.reduce(
+    (total, attachment) => total + (attachment.size || 0),
+    0
+  );
+
+  if (usedSize + req.file.size > maxTaskSize) {
+    return res.status(413).json({
+      success: false,
+      message: `Task attachments cannot exceed ${maxTaskSize} bytes in total`,
+    });
+  }
+
+  const storage = getStorage();
+  const { key, size } = await storage.save({
+    buffer: req.file.buffer,
+    originalName: req.file.originalname,
+    mimetype: req.file.mimetype,
+    prefix: task._id.toString(),
+  });
+
+  task.attachments.push({
+    filename: key,
+    originalName: req.file.originalname,
+    mimetype: req.file.mimetype,
+    size,
+    uploadedBy: req.user._id,
+  });
+
+  const attachment = task.attachments[task.attachments.length - 1];
+  attachment.url = `/api/tasks/${task._id}/attachments/${attachment._id}`;
+
+  try {
+    await task.save();
+  } catch (error) {
+    // Don't leave an orphaned file behind
+    await storage.remove(key);
+    throw error;
+  }
+
+  // Emit socket event for real-time updates
+  await emitTaskEvent(req.io, task, "attachmentAdded", {
+    taskId: task._id,
+    attachment,
+  });
+
+  res.status(201).json({
+    success: true,
+    message: "Attachment uploaded successfully",
+    data: attachment,
+  });
+});
+
+// @desc    Download task attachment
+// @route   GET /api/tasks/:id/attachments/:attachmentId
+// @access  Private
+export const downloadAttachment = asyncHandler(async (req, res, next) => {
+  const task = await Task.findById(req.params.id).select("attachments");
+
+  if (!task) {
+    return res.status(404).json({
+      success: false,
+      message: "Task not found",
+    });
+  }
+
+  const attachment = task.attachments.id(req.params.attachmentId);
+  if (!attachment) {
+    return res.status(404).json({
+      success: false,
+      message: "Attachment not found",
+    });
+  }
+
+  const stream = getStorage().createReadStream(attachment.filename);
+
+  stream.on("error", (error) => {
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    if (error.code === "ENOENT") {
+      return res.status(404).json({
+        success: false,
+        message: "Attachment file not found",
+      });
+    }
+    next(error);
+  });
+
+  res.set({
+    "Content-Type": attachment.mimetype || "application/octet-stream",
+    "Content-Length": attachment.size,
+    "Content-Disposition": `attachment; filename*=UTF-8''${encodeURIComponent(
+      attachment.originalName || "attachment"
+    )}`,
+    "X-Content-Type-Options": "nosniff",
+  });
+
+  stream.pipe(res);
+});
+
+// @desc    Delete task attachment
+// @route   DELETE /api/tasks/:id/attachments/:attachmentId
+// @access  Private (Admin, task creator or uploader)
+export const deleteAttachment = asyncHandler(async (req, res) => {
+  const task = await Task.findById(req.params.id);
+
+  if (!task) {
+    return res.status(404).json({
+      success: false,
+      message: "Task not found",
+    });
+  }
+
+  const attachment = task.attachments.id(req.params.attachmentId);
+  if (!attachment) {
+    return res.status(404).json({
+      success: false,
+      message: "Attachment not found",
+    });
+  }
+
+  if (
+    !can(req.user, "attachment:delete", attachment, { task, board: req.board })
+  ) {
+    return res.status(403).json({
+      success: false,
+      message: "Not authorized to delete this attachment",
+    });
+  }
+
+  attachment.deleteOne();
+  await task.save();
+  await getStorage().remove(attachment.filename);
+
+  // Emit socket event for real-time updates
+  await emitTaskEvent(req.io, task, "attachmentRemoved", {
+    taskId: task._id,
+    attachmentId: attachment._id,
+  });
+
+  res.status(200).json({
+    success: true,
+    message: "Attachment deleted successfully",
+  });
+});
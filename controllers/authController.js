@@ -1,8 +1,55 @@
 import { validationResult } from "express-validator";
 import User from "../models/User.js";
-import { generateToken } from "../middleware/auth.js";
+import RefreshToken from "../models/RefreshToken.js";
+import PasswordResetToken from "../models/PasswordResetToken.js";
+import {
+  generateToken,
+  generateTwoFactorChallenge,
+  verifyTwoFactorChallenge,
+} from "../middleware/auth.js";
 import { asyncHandler } from "../middleware/errorHandler.js";
-import jwt from "jsonwebtoken";
+import { sendMail } from "../mail/index.js";
+import {
+  getLoginRetryAfter,
+  recordLoginFailure,
+  clearLoginFailures,
+} from "../utils/loginProtection.js";
+
+// Issue an access token and a refresh token for the user. Rotated refresh
+// tokens stay in the family of the token they replace.
+const issueTokens = async (user, req, family) => {
+  const { token: refreshToken, doc } = await RefreshToken.issue(user, {
+    family,
+    userAgent: req.get("user-agent") || null,
+    ip: req.ip,
+  });
+
+  return { token: generateToken(user._id), refreshToken, refreshTokenDoc: doc };
+};
+
+// Email a password reset link to the account with this email, if there is
+// an active one
+const sendPasswordResetEmail = async (email) => {
+  const user = await User.findByEmail(email);
+  if (!user || !user.isActive) return;
+
+  const { token, minutes } = await PasswordResetToken.issue(user);
+  const clientUrl = process.env.CLIENT_URL || "http://localhost:5173";
+
+  await sendMail({
+    to: user.email,
+    subject: "Reset your Task Manager password",
+    text: [
+      `Hi ${user.name},`,
+      "",
+      "Use the link below to choose a new password:",
+      `${clientUrl}/reset-password?token=${token}`,
+      "",
+      `The link can be used once and expires in ${minutes} minutes.`,
+      "If you did not ask to reset your password, you can ignore this email.",
+    ].join("\n"),
+  });
+};
 
 // @desc    Register user
 // @route   POST /api/auth/register
@@ -37,13 +84,14 @@ export const register = asyncHandler(async (req, res) => {
     role: role || "customer",
   });
 
-  // Generate token
-  const token = generateToken(user._id);
+  // Generate tokens
+  const { token, refreshToken } = await issueTokens(user, req);
 
   res.status(201).json({
     success: true,
     message: "User registered successfully",
     token,
+    refreshToken,
     user: user.profile,
   });
 });
@@ -63,17 +111,32 @@ export const login = asyncHandler(async (req, res) => {
   }
 
   const { email, password } = req.body;
+  const attempt = { email, ip: req.ip, userAgent: req.get("user-agent") };
+
+  // Refuse attempts while the email or IP is locked out or must wait after
+  // recent failures. The message is the same for unknown emails.
+  const retryAfter = await getLoginRetryAfter(attempt);
+  if (retryAfter > 0) {
+    res.set("Retry-After", String(retryAfter));
+    return res.status(429).json({
+      success: false,
+      message: "Too many failed login attempts. Please try again later.",
+      retryAfter,
+    });
+  }
 
   // Check for user and include password
   const user = await User.findByEmail(email).select("+password");
-  if (!user) {
+  if (!user || !(await user.matchPassword(password))) {
+    await recordLoginFailure({ ...attempt, user });
     return res.status(401).json({
       success: false,
       message: "Invalid Email or Password",
     });
   }
 
-  // Check if user is active
+  // Check if user is active (only once the password is known to be right,
+  // so deactivated accounts cannot be discovered)
   if (!user.isActive) {
     return res.status(401).json({
       success: false,
@@ -81,27 +144,182 @@ export const login = asyncHandler(async (req, res) => {
     });
   }
 
-  // Check if password matches
-  const isMatch = await user.matchPassword(password);
-  if (!isMatch) {
+  // With two-factor authentication on, the login finishes at
+  // POST /api/auth/2fa/login once a code has been checked
+  if (user.twoFactor.enabled) {
+    return res.status(200).json({
+      success: true,
+      message: "Two-factor authentication required",
+      twoFactorRequired: true,
+      challengeToken: generateTwoFactorChallenge(user._id),
+    });
+  }
+
+  await clearLoginFailures(email);
+
+  // Update last login
+  user.lastLogin = new Date();
+  await user.save();
+
+  // Generate tokens
+  const { token, refreshToken } = await issueTokens(user, req);
+
+  res.status(200).json({
+    success: true,
+    message: "Login successful",
+    token,
+    refreshToken,
+    user: user.profile,
+  });
+});
+
+// @desc    Finish a login with a two-factor code or recovery code
+// @route   POST /api/auth/2fa/login
+// @access  Public
+export const loginWithTwoFactor = asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: errors.array(),
+    });
+  }
+
+  const { challengeToken, code, recoveryCode } = req.body;
+
+  let challenge;
+  try {
+    challenge = verifyTwoFactorChallenge(challengeToken);
+  } catch (error) {
     return res.status(401).json({
       success: false,
-      message: "Invalid Email or Password",
+      message: "Invalid or expired challenge. Please log in again.",
     });
   }
 
-  // Update last login
+  const user = await User.findById(challenge.userId).select(
+    "+twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep"
+  );
+  if (!user || !user.isActive || !user.twoFactor.enabled) {
+    return res.status(401).json({
+      success: false,
+      message: "Invalid or expired challenge. Please log in again.",
+    });
+  }
+
+  // Codes are guessed against the same limits as passwords
+  const attempt = {
+    email: user.email,
+    ip: req.ip,
+    userAgent: req.get("user-agent"),
+  };
+  const retryAfter = await getLoginRetryAfter(attempt);
+  if (retryAfter > 0) {
+    res.set("Retry-After", String(retryAfter));
+    return res.status(429).json({
+      success: false,
+      message: "Too many failed login attempts. Please try again later.",
+      retryAfter,
+    });
+  }
+
+  if (!user.verifyTwoFactorCode({ code, recoveryCode })) {
+    await recordLoginFailure({ ...attempt, user });
+    return res.status(401).json({
+      success: false,
+      message: "Invalid two-factor code",
+    });
+  }
+
+  await clearLoginFailures(user.email);
+
+  // Update last login, along with the used code or recovery code
   user.lastLogin = new Date();
   await user.save();
 
-  // Generate token
-  const token = jwt.sign({ userId: user._id }, process.env.JWT_SECRET);
+  // Generate tokens
+  const { token, refreshToken } = await issueTokens(user, req);
 
   res.status(200).json({
     success: true,
     message: "Login successful",
     token,
+    refreshToken,
     user: user.profile,
+    recoveryCodesRemaining: user.twoFactor.recoveryCodes.length,
+  });
+});
+
+// @desc    Exchange a refresh token for new access and refresh tokens
+// @route   POST /api/auth/refresh
+// @access  Public
+export const refresh = asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: errors.array(),
+    });
+  }
+
+  const stored = await RefreshToken.findByToken(req.body.refreshToken);
+
+  if (!stored || stored.expiresAt <= new Date()) {
+    return res.status(401).json({
+      success: false,
+      message: "Invalid or expired refresh token",
+    });
+  }
+
+  // Claim the token so it can only be rotated once
+  const claimed = await RefreshToken.findOneAndUpdate(
+    { _id: stored._id, revokedAt: null },
+    { revokedAt: new Date() },
+    { new: true }
+  );
+
+  if (!claimed) {
+    // A token that was already rotated is being used again, so it may have
+    // been stolen: log out every session that grew from the same login
+    if (stored.replacedBy) {
+      await RefreshToken.revokeFamily(stored.family);
+      return res.status(401).json({
+        success: false,
+        message: "Refresh token reuse detected. Please log in again.",
+      });
+    }
+
+    return res.status(401).json({
+      success: false,
+      message: "Refresh token has been revoked",
+    });
+  }
+
+  const user = await User.findById(claimed.user);
+  if (!user || !user.isActive) {
+    return res.status(401).json({
+      success: false,
+      message: "User account is deactivated",
+    });
+  }
+
+  const { token, refreshToken, refreshTokenDoc } = await issueTokens(
+    user,
+    req,
+    claimed.family
+  );
+  claimed.replacedBy = refreshTokenDoc._id;
+  await claimed.save();
+
+  res.status(200).json({
+    success: true,
+    message: "Token refreshed successfully",
+    token,
+    refreshToken,
   });
 });
 
@@ -131,10 +349,19 @@ export const updateProfile = asyncHandler(async (req, res) => {
     });
   }
 
-  const { name, email } = req.body;
+  const { name, email, reminderOffsets } = req.body;
   const fieldsToUpdate = {};
 
   if (name) fieldsToUpdate.name = name;
+
+  // null goes back to the server's default reminder offsets
+  if (reminderOffsets === null) {
+    fieldsToUpdate.$unset = { reminderOffsets: 1 };
+  } else if (reminderOffsets) {
+    fieldsToUpdate.reminderOffsets = [...new Set(reminderOffsets)].sort(
+      (a, b) => b - a
+    );
+  }
   if (email) {
     // Check if email is already taken by another user
     const existingUser = await User.findOne({
@@ -196,16 +423,103 @@ export const changePassword = asyncHandler(async (req, res) => {
   user.password = newPassword;
   await user.save();
 
+  // Sign out every other session and start a new one for this client
+  await RefreshToken.revokeAllForUser(user._id);
+  const { token, refreshToken } = await issueTokens(user, req);
+
   res.status(200).json({
     success: true,
     message: "Password changed successfully",
+    token,
+    refreshToken,
+  });
+});
+
+// @desc    Send a password reset link
+// @route   POST /api/auth/forgot-password
+// @access  Public
+export const forgotPassword = asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: errors.array(),
+    });
+  }
+
+  // The reset link is sent after responding, so neither the response nor
+  // its timing shows whether the email is registered
+  res.status(200).json({
+    success: true,
+    message:
+      "If an account exists for that email, a password reset link has been sent",
+  });
+
+  sendPasswordResetEmail(req.body.email).catch((error) => {
+    console.error("Failed to send password reset email:", error.message);
   });
 });
 
-// @desc    Logout user
+// @desc    Reset password with a reset token
+// @route   POST /api/auth/reset-password
+// @access  Public
+export const resetPassword = asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: errors.array(),
+    });
+  }
+
+  const resetToken = await PasswordResetToken.consume(req.body.token);
+  const user = resetToken && (await User.findById(resetToken.user));
+
+  if (!user || !user.isActive) {
+    return res.status(400).json({
+      success: false,
+      message: "Invalid or expired reset token",
+    });
+  }
+
+  // Update password
+  user.password = req.body.password;
+  await user.save();
+
+  // Sign out every existing session
+  await RefreshToken.revokeAllForUser(user._id);
+
+  res.status(200).json({
+    success: true,
+    message:
+      "Password reset successfully. Please log in with your new password.",
+  });
+});
+
+// @desc    Logout user (revokes the refresh token)
 // @route   POST /api/auth/logout
-// @access  Private
+// @access  Public
 export const logout = asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: errors.array(),
+    });
+  }
+
+  const stored = await RefreshToken.findByToken(req.body.refreshToken);
+  if (stored && !stored.revokedAt) {
+    stored.revokedAt = new Date();
+    await stored.save();
+  }
+
   res.status(200).json({
     success: true,
     message: "Logged out successfully",
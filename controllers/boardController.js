@@ -0,0 +1,535 @@
+import { validationResult } from "express-validator";
+import Board from "../models/Board.js";
+import Task from "../models/Task.js";
+import User from "../models/User.js";
+import { asyncHandler } from "../middleware/errorHandler.js";
+import { getAccessFilter } from "../utils/policy.js";
+
+// Emit a socket event to every member of a board
+const emitToBoardMembers = (req, board, event, data) => {
+  if (!req.io) return;
+
+  const rooms = board.members.map(
+    (member) => `user_${member.user._id || member.user}`
+  );
+  if (rooms.length > 0) {
+    req.io.to(rooms).emit(event, data);
+  }
+};
+
+// @desc    Get all boards the current user belongs to
+// @route   GET /api/boards
+// @access  Private
+export const getBoards = asyncHandler(async (req, res) => {
+  const query = await getAccessFilter(req.user, "board:read");
+
+  const boards = await Board.find(query)
+    .populate("owner", "name email role")
+    .populate("members.user", "name email role")
+    .sort({ updatedAt: -1 });
+
+  res.status(200).json({
+    success: true,
+    count: boards.length,
+    data: boards,
+  });
+});
+
+// @desc    Get single board
+// @route   GET /api/boards/:id
+// @access  Private (Board members)
+export const getBoard = asyncHandler(async (req, res) => {
+  const board = await req.board.populate([
+    { path: "owner", select: "name email role" },
+    { path: "members.user", select: "name email role" },
+  ]);
+
+  res.status(200).json({
+    success: true,
+    data: board,
+  });
+});
+
+// @desc    Create new board
+// @route   POST /api/boards
+// @access  Private (Admin, Vendor)
+export const createBoard = asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: errors.array(),
+    });
+  }
+
+  const { name, description, members = [] } = req.body;
+
+  // Verify all members exist
+  const memberIds = members.map((member) => member.user);
+  if (memberIds.length > 0) {
+    const found = await User.countDocuments({ _id: { $in: memberIds } });
+    if (found !== new Set(memberIds.map(String)).size) {
+      return res.status(400).json({
+        success: false,
+        message: "One or more members not found",
+      });
+    }
+  }
+
+  const board = await Board.create({
+    name,
+    description,
+    owner: req.user._id,
+    members: members.filter(
+      (member) => member.user.toString() !== req.user._id.toString()
+    ),
+  });
+
+  await board.populate("owner", "name email role");
+  await board.populate("members.user", "name email role");
+
+  emitToBoardMembers(req, board, "boardCreated", board);
+
+  res.status(201).json({
+    success: true,
+    message: "Board created successfully",
+    data: board,
+  });
+});
+
+// @desc    Update board
+// @route   PUT /api/boards/:id
+// @access  Private (Board owner)
+export const updateBoard = asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: errors.array(),
+    });
+  }
+
+  const { board } = req;
+  const { name, description } = req.body;
+
+  if (name !== undefined) board.name = name;
+  if (description !== undefined) board.description = description;
+
+  await board.save();
+  await board.populate("owner", "name email role");
+  await board.populate("members.user", "name email role");
+
+  emitToBoardMembers(req, board, "boardUpdated", board);
+
+  res.status(200).json({
+    success: true,
+    message: "Board updated successfully",
+    data: board,
+  });
+});
+
+// @desc    Delete board
+// @route   DELETE /api/boards/:id
+// @access  Private (Board owner)
+export const deleteBoard = asyncHandler(async (req, res) => {
+  const { board } = req;
+
+  // Check if board still has tasks
+  const taskCount = await Task.countDocuments({ boardId: board._id });
+
+  if (taskCount > 0) {
+    return res.status(400).json({
+      success: false,
+      message: `Cannot delete board. Board has ${taskCount} tasks. Please move or delete these tasks first.`,
+    });
+  }
+
+  await Board.findByIdAndDelete(board._id);
+
+  emitToBoardMembers(req, board, "boardDeleted", { boardId: board._id });
+
+  res.status(200).json({
+    success: true,
+    message: "Board deleted successfully",
+  });
+});
+
+// @desc    Add member to board
+// @route   POST /api/boards/:id/members
+// @access  Private (Board owner)
+export const addBoardMember = asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: errors.array(),
+    });
+  }
+
+  const { board } = req;
+  const { userId, role = "editor" } = req.body;
+
+  const user = await User.findById(userId);
+  if (!user) {
+    return res.status(400).json({
+      success: false,
+      message: "User not found",
+    });
+  }
+
+  if (board.isMember(userId)) {
+    return res.status(400).json({
+      success: false,
+      message: "User is already a member of this board",
+    });
+  }
+
+  board.members.push({ user: userId, role });
+  await board.save();
+  await board.populate("members.user", "name email role");
+
+  emitToBoardMembers(req, board, "boardMembersUpdated", {
+    boardId: board._id,
+    members: board.members,
+  });
+
+  res.status(201).json({
+    success: true,
+    message: "Member added successfully",
+    data: board.members,
+  });
+});
+
+// @desc    Update board member role
+// @route   PUT /api/boards/:id/members/:userId
+// @access  Private (Board owner)
+export const updateBoardMember = asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: errors.array(),
+    });
+  }
+
+  const { board } = req;
+  const member = board.members.find(
+    (member) => member.user.toString() === req.params.userId
+  );
+
+  if (!member) {
+    return res.status(404).json({
+      success: false,
+      message: "Member not found",
+    });
+  }
+
+  if (member.user.toString() === board.owner.toString()) {
+    return res.status(400).json({
+      success: false,
+      message: "Cannot change the role of the board owner",
+    });
+  }
+
+  member.role = req.body.role;
+  await board.save();
+  await board.populate("members.user", "name email role");
+
+  emitToBoardMembers(req, board, "boardMembersUpdated", {
+    boardId: board._id,
+    members: board.members,
+  });
+
+  res.status(200).json({
+    success: true,
+    message: "Member updated successfully",
+    data: board.members,
+  });
+});
+
+// @desc    Remove member from board
+// @route   DELETE /api/boards/:id/members/:userId
+// @access  Private (Board owner)
+export const removeBoardMember = asyncHandler(async (req, res) => {
+  const { board } = req;
+  const { userId } = req.params;
+
+  if (userId === board.owner.toString()) {
+    return res.status(400).json({
+      success: false,
+      message: "Cannot remove the board owner",
+    });
+  }
+
+  if (!board.isMember(userId)) {
+    return res.status(404).json({
+      success: false,
+      message: "Member not found",
+    });
+  }
+
+  // Notify the removed member as well
+  emitToBoardMembers(req, board, "boardMemberRemoved", {
+    boardId: board._id,
+    userId,
+  });
+
+  board.members = board.members.filter(
+    (member) => member.user.toString() !== userId
+  );
+  await board.save();
+  await board.populate("members.user", "name email role");
+
+  res.status(200).json({
+    success: true,
+    message: "Member removed successfully",
+    data: board.members,
+  });
+});
+
+// Keep completedAt in line with whether a column counts as done
+const syncCompletedAt = (boardId, status, isDone) =>
+  isDone
+    ? Task.updateMany(
+        { boardId, status, completedAt: null },
+        { completedAt: new Date() }
+      )
+    : Task.updateMany(
+        { boardId, status, completedAt: { $ne: null } },
+        { completedAt: null }
+      );
+
+// @desc    Get board workflow columns with task counts
+// @route   GET /api/boards/:id/columns
+// @access  Private (Board members)
+export const getColumns = asyncHandler(async (req, res) => {
+  const { board } = req;
+
+  const counts = await Task.aggregate([
+    { $match: { boardId: board._id, isArchived: false } },
+    { $group: { _id: "$status", count: { $sum: 1 } } },
+  ]);
+
+  const columns = board.columns.map((column) => ({
+    ...column.toObject(),
+    taskCount: counts.find((count) => count._id === column.key)?.count || 0,
+  }));
+
+  res.status(200).json({
+    success: true,
+    data: columns,
+  });
+});
+
+// @desc    Add workflow column
+// @route   POST /api/boards/:id/columns
+// @access  Private (Board owner)
+export const addColumn = asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: errors.array(),
+    });
+  }
+
+  const { board } = req;
+  const { name, isDone = false } = req.body;
+
+  board.columns.push({ key: board.generateColumnKey(name), name, isDone });
+  await board.save();
+
+  emitToBoardMembers(req, board, "boardColumnsUpdated", {
+    boardId: board._id,
+    columns: board.columns,
+  });
+
+  res.status(201).json({
+    success: true,
+    message: "Column added successfully",
+    data: board.columns,
+  });
+});
+
+// @desc    Reorder workflow columns
+// @route   PUT /api/boards/:id/columns
+// @access  Private (Board owner)
+export const reorderColumns = asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: errors.array(),
+    });
+  }
+
+  const { board } = req;
+  const { keys } = req.body;
+
+  const currentKeys = board.columns.map((column) => column.key);
+  const isPermutation =
+    keys.length === currentKeys.length &&
+    new Set(keys).size === keys.length &&
+    keys.every((key) => currentKeys.includes(key));
+
+  if (!isPermutation) {
+    return res.status(400).json({
+      success: false,
+      message: "Keys must list every column on the board exactly once",
+    });
+  }
+
+  board.columns = keys.map((key) => board.getColumn(key).toObject());
+  await board.save();
+
+  emitToBoardMembers(req, board, "boardColumnsUpdated", {
+    boardId: board._id,
+    columns: board.columns,
+  });
+
+  res.status(200).json({
+    success: true,
+    message: "Columns reordered successfully",
+    data: board.columns,
+  });
+});
+
+// @desc    Rename a workflow column or change whether it counts as done
+// @route   PUT /api/boards/:id/columns/:key
+// @access  Private (Board owner)
+export const updateColumn = asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: errors.array(),
+    });
+  }
+
+  const { board } = req;
+  const column = board.getColumn(req.params.key);
+
+  if (!column) {
+    return res.status(404).json({
+      success: false,
+      message: "Column not found",
+    });
+  }
+
+  const { name, isDone } = req.body;
+  const doneChanged = isDone !== undefined && isDone !== column.isDone;
+
+  if (name !== undefined) column.name = name;
+  if (isDone !== undefined) column.isDone = isDone;
+
+  await board.save();
+
+  // Tasks already in the column become completed or open again
+  if (doneChanged) {
+    await syncCompletedAt(board._id, column.key, column.isDone);
+  }
+
+  emitToBoardMembers(req, board, "boardColumnsUpdated", {
+    boardId: board._id,
+    columns: board.columns,
+  });
+
+  res.status(200).json({
+    success: true,
+    message: "Column updated successfully",
+    data: board.columns,
+  });
+});
+
+// @desc    Delete a workflow column, moving its tasks to another column
+// @route   DELETE /api/boards/:id/columns/:key?moveTo=<key>
+// @access  Private (Board owner)
+export const deleteColumn = asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: errors.array(),
+    });
+  }
+
+  const { board } = req;
+  const { key } = req.params;
+  const { moveTo } = req.query;
+
+  if (!board.getColumn(key)) {
+    return res.status(404).json({
+      success: false,
+      message: "Column not found",
+    });
+  }
+
+  if (board.columns.length === 1) {
+    return res.status(400).json({
+      success: false,
+      message: "Cannot delete the last column of a board",
+    });
+  }
+
+  const taskCount = await Task.countDocuments({
+    boardId: board._id,
+    status: key,
+  });
+
+  if (taskCount > 0) {
+    const target = moveTo ? board.getColumn(moveTo) : null;
+
+    if (!target || target.key === key) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot delete column. Column has ${taskCount} tasks. Please provide another column to move them to.`,
+      });
+    }
+
+    // Moved tasks lose their rank and are appended to the target column.
+    // The status change counts as an edit for concurrent updates.
+    await Task.updateMany({ boardId: board._id, status: key }, [
+      {
+        $set: {
+          status: target.key,
+          version: { $add: [{ $ifNull: ["$version", 0] }, 1] },
+          "fieldVersions.status": { $add: [{ $ifNull: ["$version", 0] }, 1] },
+        },
+      },
+      { $unset: "rank" },
+    ]);
+    await syncCompletedAt(board._id, target.key, target.isDone);
+    await Task.ensureColumnRanked(board._id, target.key);
+  }
+
+  board.columns = board.columns.filter((column) => column.key !== key);
+  await board.save();
+
+  emitToBoardMembers(req, board, "boardColumnsUpdated", {
+    boardId: board._id,
+    columns: board.columns,
+    movedTasks: taskCount > 0 ? { from: key, to: moveTo } : null,
+  });
+
+  res.status(200).json({
+    success: true,
+    message: "Column deleted successfully",
+    data: board.columns,
+  });
+});
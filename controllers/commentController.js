@@ -0,0 +1,427 @@
+import mongoose from "mongoose";
+import { validationResult } from "express-validator";
+import Task from "../models/Task.js";
+import TaskHistory from "../models/TaskHistory.js";
+import { asyncHandler } from "../middleware/errorHandler.js";
+import { resolveMentions, notifyMentions } from "../utils/mentions.js";
+import { notifyTaskFollowers } from "../utils/notifications.js";
+import { can } from "../utils/policy.js";
+import { emitTaskEvent } from "../socket/taskEvents.js";
+import { queueWebhookEvent } from "../utils/webhooks.js";
+
+// Text kept on deleted comments that still have replies
+const DELETED_COMMENT_TEXT = "[deleted]";
+
+// Find a task and one of its comments, sending a 404 when either is missing
+const findTaskComment = async (req, res) => {
+  const task = await Task.findById(req.params.id);
+
+  if (!task) {
+    res.status(404).json({
+      success: false,
+      message: "Task not found",
+    });
+    return {};
+  }
+
+  const comment = task.comments.id(req.params.commentId);
+  if (!comment || comment.isDeleted) {
+    res.status(404).json({
+      success: false,
+      message: "Comment not found",
+    });
+    return {};
+  }
+
+  return { task, comment };
+};
+
+// @desc    Get task comments, paginated
+// @route   GET /api/tasks/:id/comments?parentId=<commentId>
+// @access  Private
+export const getComments = asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: errors.array(),
+    });
+  }
+
+  const { parentId, page = 1, limit = 20 } = req.query;
+
+  // Pagination
+  const pageNum = parseInt(page);
+  const limitNum = parseInt(limit);
+  const skip = (pageNum - 1) * limitNum;
+
+  // Top-level comments by default, or the replies to parentId
+  const parent = parentId ? new mongoose.Types.ObjectId(parentId) : null;
+
+  const [result] = await Task.aggregate([
+    { $match: { _id: new mongoose.Types.ObjectId(req.params.id) } },
+    {
+      $project: {
+        parentIds: "$comments.parentId",
+        comments: {
+          $filter: {
+            input: "$comments",
+            cond: {
+              $eq: [{ $ifNull: ["$$this.parentId", null] }, parent],
+            },
+          },
+        },
+      },
+    },
+    {
+      $project: {
+        parentIds: 1,
+        total: { $size: "$comments" },
+        comments: { $slice: ["$comments", skip, limitNum] },
+      },
+    },
+  ]);
+
+  if (!result) {
+    return res.status(404).json({
+      success: false,
+      message: "Task not found",
+    });
+  }
+
+  await Task.populate(result, {
+    path: "comments.authorId",
+    select: "name email role",
+  });
+
+  // Count replies so clients can offer to expand each thread
+  const replyCounts = {};
+  result.parentIds.forEach((id) => {
+    if (id) replyCounts[id] = (replyCounts[id] || 0) + 1;
+  });
+
+  const comments = result.comments.map((comment) => ({
+    ...comment,
+    replyCount: replyCounts[comment._id] || 0,
+  }));
+
+  res.status(200).json({
+    success: true,
+    count: comments.length,
+    total: result.total,
+    pagination: {
+      page: pageNum,
+      limit: limitNum,
+      pages: Math.ceil(result.total / limitNum),
+    },
+    data: comments,
+  });
+});
+
+// @desc    Add comment to task
+// @route   POST /api/tasks/:id/comments
+// @access  Private
+export const addComment = asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: errors.array(),
+    });
+  }
+
+  const task = await Task.findById(req.params.id);
+
+  if (!task) {
+    return res.status(404).json({
+      success: false,
+      message: "Task not found",
+    });
+  }
+
+  // Replies must point at an existing comment on the same task
+  const { parentId = null } = req.body;
+  const parent = parentId ? task.comments.id(parentId) : null;
+  if (parentId && (!parent || parent.isDeleted)) {
+    return res.status(400).json({
+      success: false,
+      message: "Parent comment not found",
+    });
+  }
+
+  // Resolve @mentions to users who can access the task
+  const { mentions, warnings } = await resolveMentions(req.body.text, task);
+
+  const comment = {
+    text: req.body.text,
+    author: req.user.name,
+    authorId: req.user._id,
+    authorRole: req.user.role,
+    mentions,
+    parentId,
+    createdAt: new Date(),
+  };
+
+  task.comments.push(comment);
+  await task.save();
+
+  const newComment = task.comments[task.comments.length - 1];
+  await notifyMentions(req.io, mentions, {
+    task,
+    from: req.user,
+    commentId: newComment._id,
+  });
+
+  // Followers and the replied-to author hear about the comment, except
+  // those already notified of a mention
+  await notifyTaskFollowers(
+    req.io,
+    task,
+    {
+      type: "comment",
+      message: parent
+        ? `${req.user.name} replied to a comment on "${task.title}"`
+        : `${req.user.name} commented on "${task.title}"`,
+      commentId: newComment._id,
+      actor: req.user,
+      exclude: mentions.map((mention) => mention.userId),
+    },
+    parent ? [parent.authorId] : []
+  );
+
+  await TaskHistory.record({
+    task,
+    user: req.user,
+    action: "comment",
+    commentId: newComment._id,
+    changes: [{ field: "comments", oldValue: null, newValue: newComment.text }],
+  });
+
+  // Populate the new comment
+  await task.populate("comments.authorId", "name email role");
+
+  // Emit socket event for real-time updates
+  await emitTaskEvent(req.io, task, "commentAdded", {
+    taskId: task._id,
+    comment: task.comments[task.comments.length - 1],
+  });
+  await queueWebhookEvent("comment.added", {
+    taskId: task._id,
+    boardId: task.boardId,
+    comment: task.comments[task.comments.length - 1],
+  });
+
+  res.status(201).json({
+    success: true,
+    message: "Comment added successfully",
+    data: task.comments[task.comments.length - 1],
+    warnings,
+  });
+});
+
+// @desc    Edit comment
+// @route   PUT /api/tasks/:id/comments/:commentId
+// @access  Private (Comment author)
+export const updateComment = asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: errors.array(),
+    });
+  }
+
+  const { task, comment } = await findTaskComment(req, res);
+  if (!comment) return;
+
+  if (!can(req.user, "comment:update", comment, { task, board: req.board })) {
+    return res.status(403).json({
+      success: false,
+      message: "Only the author can edit this comment",
+    });
+  }
+
+  const previousText = comment.text;
+  if (req.body.text === previousText) {
+    return res.status(200).json({
+      success: true,
+      message: "Comment unchanged",
+      data: comment,
+    });
+  }
+
+  // Keep the previous text and mark the comment as edited
+  const { mentions, warnings } = await resolveMentions(req.body.text, task);
+  const previousMentions = comment.mentions.map((mention) =>
+    mention.toObject()
+  );
+
+  comment.edits.push({ text: previousText, editedAt: new Date() });
+  comment.text = req.body.text;
+  comment.mentions = mentions;
+  comment.editedAt = new Date();
+  await task.save();
+
+  // Only users newly mentioned by the edit are notified
+  await notifyMentions(req.io, mentions, {
+    task,
+    from: req.user,
+    commentId: comment._id,
+    alreadyNotified: previousMentions,
+  });
+
+  await TaskHistory.record({
+    task,
+    user: req.user,
+    action: "comment",
+    commentId: comment._id,
+    changes: [{ field: "text", oldValue: previousText, newValue: comment.text }],
+  });
+
+  await task.populate("comments.authorId", "name email role");
+
+  // Emit socket event for real-time updates
+  await emitTaskEvent(req.io, task, "commentUpdated", {
+    taskId: task._id,
+    comment: task.comments.id(comment._id),
+  });
+
+  res.status(200).json({
+    success: true,
+    message: "Comment updated successfully",
+    data: task.comments.id(comment._id),
+    warnings,
+  });
+});
+
+// @desc    Delete comment
+// @route   DELETE /api/tasks/:id/comments/:commentId
+// @access  Private (Comment author, Admin)
+export const deleteComment = asyncHandler(async (req, res) => {
+  const { task, comment } = await findTaskComment(req, res);
+  if (!comment) return;
+
+  if (!can(req.user, "comment:delete", comment, { task, board: req.board })) {
+    return res.status(403).json({
+      success: false,
+      message: "Not authorized to delete this comment",
+    });
+  }
+
+  const previousText = comment.text;
+  const hasReplies = task.comments.some(
+    (other) => other.parentId && other.parentId.equals(comment._id)
+  );
+
+  // Comments with replies are blanked rather than removed so threads stay intact
+  if (hasReplies) {
+    comment.text = DELETED_COMMENT_TEXT;
+    comment.edits = [];
+    comment.reactions = [];
+    comment.mentions = [];
+    comment.isDeleted = true;
+  } else {
+    comment.deleteOne();
+  }
+  await task.save();
+
+  await TaskHistory.record({
+    task,
+    user: req.user,
+    action: "comment",
+    commentId: comment._id,
+    changes: [{ field: "comments", oldValue: previousText, newValue: null }],
+  });
+
+  // Emit socket event for real-time updates
+  await emitTaskEvent(req.io, task, "commentDeleted", {
+    taskId: task._id,
+    commentId: comment._id,
+    softDeleted: hasReplies,
+  });
+
+  res.status(200).json({
+    success: true,
+    message: "Comment deleted successfully",
+  });
+});
+
+// @desc    Add emoji reaction to comment
+// @route   POST /api/tasks/:id/comments/:commentId/reactions
+// @access  Private
+export const addReaction = asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: errors.array(),
+    });
+  }
+
+  const { task, comment } = await findTaskComment(req, res);
+  if (!comment) return;
+
+  const { emoji } = req.body;
+  const alreadyReacted = comment.reactions.some(
+    (reaction) =>
+      reaction.emoji === emoji && reaction.userId.equals(req.user._id)
+  );
+
+  if (!alreadyReacted) {
+    comment.reactions.push({ emoji, userId: req.user._id });
+    await task.save();
+
+    // Emit socket event for real-time updates
+    await emitTaskEvent(req.io, task, "commentReactionsUpdated", {
+      taskId: task._id,
+      commentId: comment._id,
+      reactions: comment.reactions,
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: "Reaction added successfully",
+    data: comment.reactions,
+  });
+});
+
+// @desc    Remove own emoji reaction from comment
+// @route   DELETE /api/tasks/:id/comments/:commentId/reactions/:emoji
+// @access  Private
+export const removeReaction = asyncHandler(async (req, res) => {
+  const { task, comment } = await findTaskComment(req, res);
+  if (!comment) return;
+
+  const { emoji } = req.params;
+  const remaining = comment.reactions.filter(
+    (reaction) =>
+      !(reaction.emoji === emoji && reaction.userId.equals(req.user._id))
+  );
+
+  if (remaining.length !== comment.reactions.length) {
+    comment.reactions = remaining;
+    await task.save();
+
+    // Emit socket event for real-time updates
+    await emitTaskEvent(req.io, task, "commentReactionsUpdated", {
+      taskId: task._id,
+      commentId: comment._id,
+      reactions: comment.reactions,
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: "Reaction removed successfully",
+    data: comment.reactions,
+  });
+});
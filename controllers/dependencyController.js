@@ -0,0 +1,178 @@
+import { validationResult } from "express-validator";
+import Task from "../models/Task.js";
+import Board from "../models/Board.js";
+import TaskDependency from "../models/TaskDependency.js";
+import { asyncHandler } from "../middleware/errorHandler.js";
+import { can } from "../utils/policy.js";
+import { getDependencyGraph } from "../utils/dependencies.js";
+import { emitTaskEvent } from "../socket/taskEvents.js";
+
+// Let everyone who can see either end of a link know it changed
+const emitDependencyEvent = async (req, event, tasks, data) => {
+  for (const task of tasks) {
+    await emitTaskEvent(req.io, task, event, { taskId: task._id, ...data });
+  }
+};
+
+// @desc    Get the dependency graph of a task
+// @route   GET /api/tasks/:id/dependencies
+// @access  Private
+export const getDependencies = asyncHandler(async (req, res) => {
+  const task = await Task.findById(req.params.id);
+
+  if (!task) {
+    return res.status(404).json({
+      success: false,
+      message: "Task not found",
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: await getDependencyGraph(req.user, task),
+  });
+});
+
+// @desc    Link a task to another task
+// @route   POST /api/tasks/:id/dependencies
+// @access  Private
+export const addDependency = asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: errors.array(),
+    });
+  }
+
+  const { taskId, type } = req.body;
+
+  const task = await Task.findById(req.params.id);
+  if (!task) {
+    return res.status(404).json({
+      success: false,
+      message: "Task not found",
+    });
+  }
+
+  if (task._id.equals(taskId)) {
+    return res.status(400).json({
+      success: false,
+      message: "A task cannot depend on itself",
+    });
+  }
+
+  // The other task only needs to be visible to the user, unless the link
+  // would block it (see below)
+  const other = await Task.findById(taskId);
+  const otherBoard = other ? await Board.findById(other.boardId) : null;
+  if (!other || !can(req.user, "task:read", other, { board: otherBoard })) {
+    return res.status(404).json({
+      success: false,
+      message: "Linked task not found",
+    });
+  }
+
+  const existing = await TaskDependency.findBetween(task._id, other._id);
+  if (existing) {
+    return res.status(409).json({
+      success: false,
+      message: "These tasks are already linked",
+      data: existing,
+    });
+  }
+
+  // "blocked-by" is stored as a "blocks" link from the other task
+  const [fromTask, toTask] =
+    type === "blockedBy" ? [other, task] : [task, other];
+  const storedType = type === "relatesTo" ? "relatesTo" : "blocks";
+
+  // A blocked task cannot be completed, so blocking one needs the rights
+  // to update it
+  if (
+    storedType === "blocks" &&
+    toTask === other &&
+    !can(req.user, "task:update", other, { board: otherBoard })
+  ) {
+    return res.status(403).json({
+      success: false,
+      message: "Not authorized to block the linked task",
+    });
+  }
+
+  if (
+    storedType === "blocks" &&
+    (await TaskDependency.wouldCreateCycle(fromTask._id, toTask._id))
+  ) {
+    return res.status(400).json({
+      success: false,
+      message: `"${toTask.title}" already blocks "${fromTask.title}", so this link would create a cycle`,
+    });
+  }
+
+  const dependency = await TaskDependency.create({
+    fromTask: fromTask._id,
+    toTask: toTask._id,
+    type: storedType,
+    createdBy: req.user._id,
+  });
+
+  await emitDependencyEvent(req, "dependencyAdded", [task, other], {
+    dependency,
+  });
+
+  res.status(201).json({
+    success: true,
+    message: "Dependency added successfully",
+    data: dependency,
+  });
+});
+
+// @desc    Remove a link between tasks
+// @route   DELETE /api/tasks/:id/dependencies/:dependencyId
+// @access  Private
+export const removeDependency = asyncHandler(async (req, res) => {
+  const dependency = await TaskDependency.findOne({
+    _id: req.params.dependencyId,
+    $or: [{ fromTask: req.params.id }, { toTask: req.params.id }],
+  });
+
+  if (!dependency) {
+    return res.status(404).json({
+      success: false,
+      message: "Dependency not found",
+    });
+  }
+
+  // Removing a blocking link would let the blocked task be completed, so
+  // it needs the rights to update the blocking task, or to override blockers
+  if (dependency.type === "blocks" && !can(req.user, "task:overrideBlockers")) {
+    const blocker = await Task.findById(dependency.fromTask);
+    const blockerBoard = blocker ? await Board.findById(blocker.boardId) : null;
+    if (
+      blocker &&
+      !can(req.user, "task:update", blocker, { board: blockerBoard })
+    ) {
+      return res.status(403).json({
+        success: false,
+        message: "Not authorized to remove a link from the blocking task",
+      });
+    }
+  }
+
+  await dependency.deleteOne();
+
+  const tasks = await Task.find({
+    _id: { $in: [dependency.fromTask, dependency.toTask] },
+  }).select("boardId assigneeId createdBy");
+  await emitDependencyEvent(req, "dependencyRemoved", tasks, {
+    dependencyId: dependency._id,
+  });
+
+  res.status(200).json({
+    success: true,
+    message: "Dependency removed successfully",
+  });
+});
@@ -0,0 +1,95 @@
+import { validationResult } from "express-validator";
+import { asyncHandler } from "../middleware/errorHandler.js";
+import { planTrelloImport, runTrelloImport } from "../utils/trelloImport.js";
+import { queueWebhookEvents, webhookTaskData } from "../utils/webhooks.js";
+
+// What a dry run shows of each task that would be created
+const previewTask = (task) => ({
+  cardId: task.cardId,
+  title: task.title,
+  status: task.status,
+  assignee: { _id: task.assignee._id, name: task.assignee.name },
+  dueDate: task.dueDate,
+  tags: task.tags,
+  subtasks: task.subtasks.length,
+  comments: task.comments.length,
+  isArchived: task.isArchived,
+});
+
+// @desc    Import a board from a Trello JSON export
+// @route   POST /api/import/trello
+// @access  Private (Admin, Vendor)
+export const importTrelloBoard = asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: errors.array(),
+    });
+  }
+
+  const {
+    board: data,
+    memberMap,
+    doneLists,
+    includeArchived,
+    defaultDueDate,
+    dryRun,
+  } = req.body;
+
+  const { plan, report, error } = await planTrelloImport(data, {
+    user: req.user,
+    memberMap,
+    doneLists,
+    includeArchived,
+    defaultDueDate,
+  });
+
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: error,
+    });
+  }
+
+  if (dryRun) {
+    return res.status(200).json({
+      success: true,
+      message: "Dry run; nothing was imported",
+      dryRun: true,
+      data: {
+        board: plan.board,
+        members: plan.members,
+        tasks: plan.tasks.map(previewTask),
+      },
+      report,
+    });
+  }
+
+  const { board, tasks } = await runTrelloImport(plan, req.user);
+
+  await board.populate("owner", "name email role");
+  await board.populate("members.user", "name email role");
+
+  // Members load the new board's tasks with it, so only the board is
+  // announced and assignees are not notified one task at a time
+  if (req.io) {
+    req.io
+      .to(board.members.map((member) => `user_${member.user._id}`))
+      .emit("boardCreated", board);
+  }
+  await queueWebhookEvents(
+    "task.created",
+    tasks.map((task) => ({ task: webhookTaskData(task) }))
+  );
+
+  res.status(201).json({
+    success: true,
+    message: `Imported ${tasks.length} tasks from Trello`,
+    dryRun: false,
+    data: board,
+    report,
+  });
+});
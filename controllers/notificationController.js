@@ -0,0 +1,133 @@
+import { validationResult } from "express-validator";
+import Notification from "../models/Notification.js";
+import { asyncHandler } from "../middleware/errorHandler.js";
+import { emitToUser } from "../socket/socketHandlers.js";
+
+// Push the user's new unread count to their other open sessions
+const emitUnreadCount = async (req) => {
+  const unreadCount = await Notification.countUnread(req.user._id);
+  if (req.io) {
+    emitToUser(req.io, req.user._id, "unreadCount", { unreadCount });
+  }
+  return unreadCount;
+};
+
+// @desc    Get current user's notifications
+// @route   GET /api/notifications
+// @access  Private
+export const getNotifications = asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: errors.array(),
+    });
+  }
+
+  const { unreadOnly, page = 1, limit = 20 } = req.query;
+
+  // Build query
+  const query = { recipient: req.user._id };
+  if (unreadOnly === "true") query.readAt = null;
+
+  // Pagination
+  const pageNum = parseInt(page);
+  const limitNum = parseInt(limit);
+  const skip = (pageNum - 1) * limitNum;
+
+  const notifications = await Notification.find(query)
+    .populate("taskId", "title status boardId")
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(limitNum);
+
+  const total = await Notification.countDocuments(query);
+  const unreadCount = await Notification.countUnread(req.user._id);
+
+  res.status(200).json({
+    success: true,
+    count: notifications.length,
+    total,
+    unreadCount,
+    pagination: {
+      page: pageNum,
+      limit: limitNum,
+      pages: Math.ceil(total / limitNum),
+    },
+    data: notifications,
+  });
+});
+
+// @desc    Get current user's unread notification count
+// @route   GET /api/notifications/unread-count
+// @access  Private
+export const getUnreadCount = asyncHandler(async (req, res) => {
+  const unreadCount = await Notification.countUnread(req.user._id);
+
+  res.status(200).json({
+    success: true,
+    data: { unreadCount },
+  });
+});
+
+// @desc    Mark notification as read
+// @route   PUT /api/notifications/:id/read
+// @access  Private (Recipient)
+export const markNotificationRead = asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: errors.array(),
+    });
+  }
+
+  const notification = await Notification.findOne({
+    _id: req.params.id,
+    recipient: req.user._id,
+  });
+
+  if (!notification) {
+    return res.status(404).json({
+      success: false,
+      message: "Notification not found",
+    });
+  }
+
+  if (!notification.readAt) {
+    notification.readAt = new Date();
+    await notification.save();
+  }
+
+  const unreadCount = await emitUnreadCount(req);
+
+  res.status(200).json({
+    success: true,
+    message: "Notification marked as read",
+    data: notification,
+    unreadCount,
+  });
+});
+
+// @desc    Mark all notifications as read
+// @route   PUT /api/notifications/read-all
+// @access  Private
+export const markAllNotificationsRead = asyncHandler(async (req, res) => {
+  const result = await Notification.updateMany(
+    { recipient: req.user._id, readAt: null },
+    { readAt: new Date() }
+  );
+
+  const unreadCount = await emitUnreadCount(req);
+
+  res.status(200).json({
+    success: true,
+    message: `${result.modifiedCount} notifications marked as read`,
+    data: { modifiedCount: result.modifiedCount },
+    unreadCount,
+  });
+});
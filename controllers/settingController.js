@@ -0,0 +1,47 @@
+import { validationResult } from "express-validator";
+import Setting from "../models/Setting.js";
+import { asyncHandler } from "../middleware/errorHandler.js";
+
+// Settings clients may change
+const SETTING_FIELDS = ["requireAdminTwoFactor"];
+
+// @desc    Get application settings
+// @route   GET /api/settings
+// @access  Private (Admin)
+export const getSettings = asyncHandler(async (req, res) => {
+  const settings = await Setting.getGlobal();
+
+  res.status(200).json({
+    success: true,
+    data: settings,
+  });
+});
+
+// @desc    Update application settings
+// @route   PUT /api/settings
+// @access  Private (Admin)
+export const updateSettings = asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: errors.array(),
+    });
+  }
+
+  // Only accept known settings
+  const updates = {};
+  SETTING_FIELDS.forEach((field) => {
+    if (req.body[field] !== undefined) updates[field] = req.body[field];
+  });
+
+  const settings = await Setting.updateGlobal(updates, req.user);
+
+  res.status(200).json({
+    success: true,
+    message: "Settings updated successfully",
+    data: settings,
+  });
+});
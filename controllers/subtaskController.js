@@ -0,0 +1,390 @@
+import { validationResult } from "express-validator";
+import Task from "../models/Task.js";
+import Board from "../models/Board.js";
+import User from "../models/User.js";
+import TaskHistory from "../models/TaskHistory.js";
+import { asyncHandler } from "../middleware/errorHandler.js";
+import { notifyUsers } from "../utils/notifications.js";
+import { can } from "../utils/policy.js";
+import { emitTaskEvent, taskPayload } from "../socket/taskEvents.js";
+import { queueWebhookEvent, webhookTaskData } from "../utils/webhooks.js";
+import {
+  getETag,
+  getExpectedVersion,
+  findConflicts,
+  sendConflict,
+  sendInvalidVersion,
+} from "../utils/concurrency.js";
+
+// Subtask fields clients may set directly
+const SUBTASK_FIELDS = ["text", "completed", "assigneeId", "dueDate"];
+
+// Resolve a subtask assignee, making sure they belong to the task's board.
+// Returns an error message when the assignee is not valid.
+const resolveAssignee = async (task, assigneeId) => {
+  const assignee = await User.findById(assigneeId);
+  if (!assignee) {
+    return { error: "Assignee not found" };
+  }
+
+  const board = await Board.findById(task.boardId);
+  if (!board || !board.isMember(assignee._id)) {
+    return { error: "Assignee is not a member of this board" };
+  }
+
+  return { assignee };
+};
+
+// Notify the user a subtask was assigned to
+const notifySubtaskAssignee = (req, task, subtask) =>
+  notifyUsers(req.io, [subtask.assigneeId], {
+    type: "assignment",
+    message: `${req.user.name} assigned you the subtask "${subtask.text}" on "${task.title}"`,
+    task,
+    actor: req.user,
+  });
+
+// Emit a subtask event together with the task's updated progress
+const emitSubtaskEvent = (req, event, task, data) =>
+  emitTaskEvent(req.io, task, event, {
+    taskId: task._id,
+    ...data,
+    subtaskProgress: task.subtaskProgress,
+  });
+
+// @desc    Add subtask
+// @route   POST /api/tasks/:id/subtasks
+// @access  Private
+export const addSubtask = asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: errors.array(),
+    });
+  }
+
+  const task = await Task.findById(req.params.id);
+
+  if (!task) {
+    return res.status(404).json({
+      success: false,
+      message: "Task not found",
+    });
+  }
+
+  const { text, assigneeId, dueDate } = req.body;
+  const subtaskData = { text, dueDate: dueDate || null };
+
+  if (assigneeId) {
+    const { assignee, error } = await resolveAssignee(task, assigneeId);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error,
+      });
+    }
+    subtaskData.assigneeId = assignee._id;
+    subtaskData.assignee = assignee.name;
+  }
+
+  task.subtasks.push(subtaskData);
+  await task.save();
+
+  const subtask = task.subtasks[task.subtasks.length - 1];
+  await notifySubtaskAssignee(req, task, subtask);
+
+  await emitSubtaskEvent(req, "subtaskAdded", task, { subtask });
+  await queueWebhookEvent("subtask.added", {
+    taskId: task._id,
+    boardId: task.boardId,
+    subtask,
+  });
+
+  res.status(201).json({
+    success: true,
+    message: "Subtask added successfully",
+    data: subtask,
+  });
+});
+
+// @desc    Update subtask
+// @route   PUT /api/tasks/:id/subtasks/:subtaskId
+// @access  Private
+export const updateSubtask = asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: errors.array(),
+    });
+  }
+
+  // Subtasks carry their own version, separate from the task's
+  const expectedVersion = getExpectedVersion(req);
+  if (Number.isNaN(expectedVersion)) {
+    return sendInvalidVersion(res);
+  }
+
+  const task = await Task.findById(req.params.id);
+
+  if (!task) {
+    return res.status(404).json({
+      success: false,
+      message: "Task not found",
+    });
+  }
+
+  const subtask = task.subtasks.id(req.params.subtaskId);
+  if (!subtask) {
+    return res.status(404).json({
+      success: false,
+      message: "Subtask not found",
+    });
+  }
+
+  // Only accept known subtask fields
+  const updates = {};
+  SUBTASK_FIELDS.forEach((field) => {
+    if (req.body[field] !== undefined) updates[field] = req.body[field];
+  });
+
+  // Assign to a board member, or unassign with null
+  if (updates.assigneeId) {
+    const { assignee, error } = await resolveAssignee(
+      task,
+      updates.assigneeId
+    );
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error,
+      });
+    }
+    updates.assignee = assignee.name;
+  } else if (updates.assigneeId === null) {
+    updates.assignee = null;
+  }
+
+  // Update subtask
+  const before = TaskHistory.snapshot(subtask);
+  const current = subtask.toJSON();
+  subtask.set(updates);
+
+  const conflicts = findConflicts(
+    subtask,
+    expectedVersion,
+    Object.keys(updates),
+    current
+  );
+  if (conflicts.length > 0) {
+    return sendConflict(
+      res,
+      current,
+      conflicts,
+      "Someone else changed this subtask in the meantime. Review the current values and try again."
+    );
+  }
+
+  await task.save();
+
+  await TaskHistory.record({
+    task,
+    user: req.user,
+    action: "subtaskUpdate",
+    subtaskId: subtask._id,
+    changes: TaskHistory.diff(
+      before,
+      TaskHistory.snapshot(subtask),
+      Object.keys(updates)
+    ),
+  });
+
+  if (subtask.assigneeId && !subtask.assigneeId.equals(before.assigneeId)) {
+    await notifySubtaskAssignee(req, task, subtask);
+  }
+
+  // Emit socket event for real-time updates
+  await emitSubtaskEvent(req, "subtaskUpdated", task, { subtask });
+  await queueWebhookEvent("subtask.updated", {
+    taskId: task._id,
+    boardId: task.boardId,
+    subtask,
+  });
+
+  res.set("ETag", getETag(subtask));
+  res.status(200).json({
+    success: true,
+    message: "Subtask updated successfully",
+    data: subtask,
+    merged: expectedVersion !== null && expectedVersion < current.version,
+  });
+});
+
+// @desc    Delete subtask
+// @route   DELETE /api/tasks/:id/subtasks/:subtaskId
+// @access  Private
+export const deleteSubtask = asyncHandler(async (req, res) => {
+  const task = await Task.findById(req.params.id);
+
+  if (!task) {
+    return res.status(404).json({
+      success: false,
+      message: "Task not found",
+    });
+  }
+
+  const subtask = task.subtasks.id(req.params.subtaskId);
+  if (!subtask) {
+    return res.status(404).json({
+      success: false,
+      message: "Subtask not found",
+    });
+  }
+
+  subtask.deleteOne();
+  await task.save();
+
+  await emitSubtaskEvent(req, "subtaskDeleted", task, {
+    subtaskId: subtask._id,
+  });
+  await queueWebhookEvent("subtask.deleted", {
+    taskId: task._id,
+    boardId: task.boardId,
+    subtaskId: subtask._id,
+  });
+
+  res.status(200).json({
+    success: true,
+    message: "Subtask deleted successfully",
+  });
+});
+
+// @desc    Reorder subtasks
+// @route   PUT /api/tasks/:id/subtasks
+// @access  Private
+export const reorderSubtasks = asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: errors.array(),
+    });
+  }
+
+  const task = await Task.findById(req.params.id);
+
+  if (!task) {
+    return res.status(404).json({
+      success: false,
+      message: "Task not found",
+    });
+  }
+
+  const { subtaskIds } = req.body;
+  const isPermutation =
+    subtaskIds.length === task.subtasks.length &&
+    new Set(subtaskIds).size === subtaskIds.length &&
+    subtaskIds.every((id) => task.subtasks.id(id));
+
+  if (!isPermutation) {
+    return res.status(400).json({
+      success: false,
+      message: "Subtask IDs must list every subtask on the task exactly once",
+    });
+  }
+
+  task.subtasks = subtaskIds.map((id) => task.subtasks.id(id).toObject());
+  await task.save();
+
+  const order = task.subtasks.map((subtask) => subtask._id);
+  await emitSubtaskEvent(req, "subtasksReordered", task, {
+    subtaskIds: order,
+  });
+  await queueWebhookEvent("subtask.reordered", {
+    taskId: task._id,
+    boardId: task.boardId,
+    subtaskIds: order,
+  });
+
+  res.status(200).json({
+    success: true,
+    message: "Subtasks reordered successfully",
+    data: task.subtasks,
+  });
+});
+
+// @desc    Promote subtask to a task linked to its parent
+// @route   POST /api/tasks/:id/subtasks/:subtaskId/promote
+// @access  Private (Admin, Vendor)
+export const promoteSubtask = asyncHandler(async (req, res) => {
+  const parent = await Task.findById(req.params.id);
+
+  if (!parent) {
+    return res.status(404).json({
+      success: false,
+      message: "Task not found",
+    });
+  }
+
+  const subtask = parent.subtasks.id(req.params.subtaskId);
+  if (!subtask) {
+    return res.status(404).json({
+      success: false,
+      message: "Subtask not found",
+    });
+  }
+
+  const board = await Board.findById(parent.boardId);
+  if (!board || !can(req.user, "task:create", board)) {
+    return res.status(403).json({
+      success: false,
+      message: "Not authorized to add tasks to this board",
+    });
+  }
+
+  // The new task falls back to the parent's assignee and due date
+  const task = new Task({
+    title: subtask.text.slice(0, 100),
+    boardId: parent.boardId,
+    priority: parent.priority,
+    assignee: subtask.assigneeId ? subtask.assignee : parent.assignee,
+    assigneeId: subtask.assigneeId || parent.assigneeId,
+    dueDate: subtask.dueDate || parent.dueDate,
+    tags: parent.tags,
+    createdBy: req.user._id,
+    parentTaskId: parent._id,
+  });
+  await task.saveWithRank();
+
+  subtask.deleteOne();
+  await parent.save();
+
+  await task.populate("assigneeId", "name email role");
+  await task.populate("createdBy", "name email role");
+
+  await emitSubtaskEvent(req, "subtaskDeleted", parent, {
+    subtaskId: subtask._id,
+  });
+  await queueWebhookEvent("subtask.deleted", {
+    taskId: parent._id,
+    boardId: parent.boardId,
+    subtaskId: subtask._id,
+  });
+  await emitTaskEvent(req.io, task, "taskCreated", (role) =>
+    taskPayload(task, role)
+  );
+  await queueWebhookEvent("task.created", { task: webhookTaskData(task) });
+
+  res.status(201).json({
+    success: true,
+    message: "Subtask promoted successfully",
+    data: task,
+  });
+});
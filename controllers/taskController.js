@@ -1,7 +1,157 @@
+import mongoose from "mongoose";
 import { validationResult } from "express-validator";
-import Task from "../models/Task.js";
+import Task, { TASK_FIELDS } from "../models/Task.js";
+import Board from "../models/Board.js";
+import TaskHistory from "../models/TaskHistory.js";
+import TimeEntry from "../models/TimeEntry.js";
 import User from "../models/User.js";
 import { asyncHandler } from "../middleware/errorHandler.js";
+import { getPurgeDate } from "../config/trash.js";
+import { resolveMentions, notifyMentions } from "../utils/mentions.js";
+import { notifyUsers, notifyTaskFollowers } from "../utils/notifications.js";
+import { can, getAccessFilter } from "../utils/policy.js";
+import {
+  getDependencyGraph,
+  notifyUnblockedTasks,
+} from "../utils/dependencies.js";
+import { parseRecurrence } from "../utils/recurrence.js";
+import {
+  DEFAULT_EXPORT_COLUMNS,
+  streamTaskExport,
+} from "../utils/taskExport.js";
+import { createNextOccurrence } from "../jobs/recurringTasks.js";
+import {
+  queueWebhookEvent,
+  queueWebhookEvents,
+  webhookTaskData,
+} from "../utils/webhooks.js";
+import {
+  emitTaskEvent,
+  emitTasksEvent,
+  taskPayload,
+} from "../socket/taskEvents.js";
+import {
+  getETag,
+  getExpectedVersion,
+  findConflicts,
+  sendConflict,
+  sendInvalidVersion,
+} from "../utils/concurrency.js";
+
+// Bulk updates take the editable task fields apart from recurrence rules
+const BULK_TASK_FIELDS = TASK_FIELDS.filter((field) => field !== "recurrence");
+
+// Query for the task list and export: the user's unarchived tasks matching
+// the filters in the query string
+const buildTaskListQuery = async (req) => {
+  const { boardId, status, priority, assigneeId, tags, search } = req.query;
+
+  // Only tasks the user can see
+  const query = {
+    isArchived: false,
+    ...(await getAccessFilter(req.user, "task:read")),
+  };
+
+  // Apply filters
+  if (boardId) query.boardId = boardId;
+  if (status) query.status = status;
+  if (priority) query.priority = priority;
+  if (assigneeId) query.assigneeId = assigneeId;
+  if (tags) query.tags = { $in: tags.split(",") };
+  if (search) {
+    query.$or = [
+      { title: { $regex: search, $options: "i" } },
+      { description: { $regex: search, $options: "i" } },
+    ];
+  }
+
+  return query;
+};
+
+// Sort options for the task list and export
+const getTaskListSort = (req) => {
+  const { sortBy = "createdAt", sortOrder = "desc" } = req.query;
+
+  const sortOptions = {};
+  sortOptions[sortBy] = sortOrder === "desc" ? -1 : 1;
+  if (sortBy === "rank") sortOptions.createdAt = 1;
+  return sortOptions;
+};
+
+// Archive or unarchive a task, recording who archived it
+const setArchived = (task, isArchived, user) => {
+  task.isArchived = isArchived;
+  task.archivedAt = isArchived ? new Date() : null;
+  task.archivedBy = isArchived ? user._id : null;
+};
+
+// Stop running timers on tasks that are going to the trash, so their time
+// is not lost
+const stopTimersForTrash = async (taskIds) => {
+  const stopped = await TimeEntry.stopRunningForTasks(taskIds);
+  const stoppedTaskIds = [
+    ...new Set(stopped.map((entry) => entry.taskId.toString())),
+  ];
+  for (const taskId of stoppedTaskIds) {
+    await TimeEntry.syncTaskTime(taskId);
+  }
+};
+
+// Only admins can move a task to a done column while it has open blockers.
+// Sends a 403 and returns false when the request asks for an override the
+// user may not use.
+const checkBlockerOverride = (req, res) => {
+  if (!req.body.overrideBlockers || can(req.user, "task:overrideBlockers")) {
+    return true;
+  }
+
+  res.status(403).json({
+    success: false,
+    message: "Only admins can complete tasks with open blockers",
+  });
+  return false;
+};
+
+// Notify followers about assignment and status changes made to a task. A
+// completed task also notifies the owners of the tasks it unblocked and
+// starts its next occurrence if it repeats.
+const notifyTaskChanges = async (req, task, before) => {
+  if (!task.assigneeId.equals(before.assigneeId)) {
+    await notifyUsers(req.io, [task.assigneeId], {
+      type: "assignment",
+      message: `${req.user.name} assigned you to "${task.title}"`,
+      task,
+      actor: req.user,
+    });
+  }
+
+  if (task.status !== before.status) {
+    const board = await Board.findById(task.boardId).select("columns");
+    const columnName = (key) => board?.getColumn(key)?.name || key;
+
+    await notifyTaskFollowers(req.io, task, {
+      type: "status_change",
+      message: `${req.user.name} moved "${task.title}" from ${columnName(
+        before.status
+      )} to ${columnName(task.status)}`,
+      actor: req.user,
+    });
+  }
+
+  if (task.completedAt && !before.completedAt) {
+    await notifyUnblockedTasks(req.io, task, req.user);
+    await createNextOccurrence(req.io, task);
+  }
+};
+
+// Find the occurrences of a task's series that the next one will be created
+// from (normally just the latest)
+const findUpcomingOccurrences = (task) =>
+  Task.find({
+    "recurrence.seriesId": task.recurrence.seriesId,
+    "recurrence.nextOccurrenceId": null,
+    "recurrence.stoppedAt": null,
+  });
 
 // @desc    Get all tasks with filtering and pagination
 // @route   GET /api/tasks
@@ -17,55 +167,19 @@ export const getTasks = asyncHandler(async (req, res) => {
     });
   }
 
-  const {
-    status,
-    priority,
-    assigneeId,
-    tags,
-    search,
-    page = 1,
-    limit = 50,
-    sortBy = "createdAt",
-    sortOrder = "desc",
-  } = req.query;
-
-  // Build query based on user role
-  let query = { isArchived: false };
-
-  // Role-based filtering
-  if (req.user.role === "customer") {
-    query.assigneeId = req.user._id;
-  } else if (req.user.role === "vendor") {
-    query.$or = [{ assigneeId: req.user._id }, { createdBy: req.user._id }];
-  }
-  // Admin can see all tasks
-
-  // Apply filters
-  if (status) query.status = status;
-  if (priority) query.priority = priority;
-  if (assigneeId) query.assigneeId = assigneeId;
-  if (tags) query.tags = { $in: tags.split(",") };
-  if (search) {
-    query.$or = [
-      { title: { $regex: search, $options: "i" } },
-      { description: { $regex: search, $options: "i" } },
-    ];
-  }
+  const { page = 1, limit = 50 } = req.query;
+  const query = await buildTaskListQuery(req);
 
   // Pagination
   const pageNum = parseInt(page);
   const limitNum = parseInt(limit);
   const skip = (pageNum - 1) * limitNum;
 
-  // Sort options
-  const sortOptions = {};
-  sortOptions[sortBy] = sortOrder === "desc" ? -1 : 1;
-
   // Execute query
   const tasks = await Task.find(query)
     .populate("assigneeId", "name email role")
     .populate("createdBy", "name email role")
-    .sort(sortOptions)
+    .sort(getTaskListSort(req))
     .skip(skip)
     .limit(limitNum);
 
@@ -85,6 +199,45 @@ export const getTasks = asyncHandler(async (req, res) => {
   });
 });
 
+// @desc    Export tasks as CSV, JSON or Excel
+// @route   GET /api/tasks/export
+// @access  Private
+export const exportTasks = asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: errors.array(),
+    });
+  }
+
+  const { format = "csv", columns } = req.query;
+  const columnKeys = columns
+    ? [...new Set(columns.split(",").map((column) => column.trim()))]
+    : DEFAULT_EXPORT_COLUMNS;
+
+  // Same tasks as the task list, without its page size limit
+  const cursor = Task.find(await buildTaskListQuery(req))
+    .select("-comments -attachments")
+    .populate("assigneeId", "name email")
+    .populate("createdBy", "name email")
+    .sort(getTaskListSort(req))
+    .cursor({ batchSize: 200 });
+
+  try {
+    await streamTaskExport(res, cursor, { format, columnKeys });
+  } catch (error) {
+    // Once the download has started, all that is left is to cut it short
+    if (!res.headersSent) throw error;
+    console.error("Task export failed:", error);
+    res.destroy(error);
+  } finally {
+    await cursor.close();
+  }
+});
+
 // @desc    Get single task
 // @route   GET /api/tasks/:id
 // @access  Private
@@ -101,32 +254,13 @@ export const getTask = asyncHandler(async (req, res) => {
     });
   }
 
-  // Check access permissions
-  if (
-    req.user.role === "customer" &&
-    task.assigneeId._id.toString() !== req.user._id.toString()
-  ) {
-    return res.status(403).json({
-      success: false,
-      message: "Not authorized to access this task",
-    });
-  }
-
-  if (req.user.role === "vendor") {
-    const hasAccess =
-      task.assigneeId._id.toString() === req.user._id.toString() ||
-      task.createdBy._id.toString() === req.user._id.toString();
-    if (!hasAccess) {
-      return res.status(403).json({
-        success: false,
-        message: "Not authorized to access this task",
-      });
-    }
-  }
-
+  res.set("ETag", getETag(task));
   res.status(200).json({
     success: true,
-    data: task,
+    data: {
+      ...task.toJSON(),
+      dependencies: await getDependencyGraph(req.user, task),
+    },
   });
 });
 
@@ -144,9 +278,42 @@ export const createTask = asyncHandler(async (req, res) => {
     });
   }
 
-  const { assigneeId } = req.body.task;
+  const { assigneeId, boardId } = req.body.task;
+
+  // Check the recurrence rule of a repeating task
+  let recurrence = null;
+  if (req.body.task.recurrence) {
+    const { rule, error } = parseRecurrence(
+      req.body.task.recurrence,
+      new Date(req.body.task.dueDate).getUTCDate()
+    );
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error,
+      });
+    }
+    recurrence = rule;
+  }
+
+  // Verify board exists and user can add tasks to it
+  const board = await Board.findById(boardId);
+
+  if (!board) {
+    return res.status(400).json({
+      success: false,
+      message: "Board not found",
+    });
+  }
+
+  if (!can(req.user, "task:create", board)) {
+    return res.status(403).json({
+      success: false,
+      message: "Not authorized to add tasks to this board",
+    });
+  }
 
-  // Verify assignee exists
+  // Verify assignee exists and belongs to the board
   const assignee = await User.findById(assigneeId);
 
   if (!assignee) {
@@ -156,11 +323,39 @@ export const createTask = asyncHandler(async (req, res) => {
     });
   }
 
-  // Create task
-  const task = await Task.create({
-    ...req.body.task,
+  if (!board.isMember(assignee._id)) {
+    return res.status(400).json({
+      success: false,
+      message: "Assignee is not a member of this board",
+    });
+  }
+
+  // Create task at the end of its column. Comments in particular are only
+  // added through the comment routes, so they always have a real author.
+  const fields = {};
+  TASK_FIELDS.forEach((field) => {
+    if (req.body.task[field] !== undefined) {
+      fields[field] = req.body.task[field];
+    }
+  });
+  const task = new Task({
+    ...fields,
     assignee: assignee.name,
     createdBy: req.user._id,
+    recurrence,
+  });
+
+  // Resolve @mentions in the description to users who can access the task
+  const { mentions, warnings } = await resolveMentions(task.description, task);
+  task.mentions = mentions;
+
+  await task.saveWithRank();
+  await notifyMentions(req.io, mentions, { task, from: req.user });
+  await notifyUsers(req.io, [task.assigneeId], {
+    type: "assignment",
+    message: `${req.user.name} assigned you to "${task.title}"`,
+    task,
+    actor: req.user,
   });
 
   // Populate the created task
@@ -168,14 +363,16 @@ export const createTask = asyncHandler(async (req, res) => {
   await task.populate("createdBy", "name email role");
 
   // Emit socket event for real-time updates
-  if (req.io) {
-    req.io.emit("taskCreated", task);
-  }
+  await emitTaskEvent(req.io, task, "taskCreated", (role) =>
+    taskPayload(task, role)
+  );
+  await queueWebhookEvent("task.created", { task: webhookTaskData(task) });
 
   res.status(201).json({
     success: true,
     message: "Task created successfully",
     data: task,
+    warnings,
   });
 });
 
@@ -193,6 +390,13 @@ export const updateTask = asyncHandler(async (req, res) => {
     });
   }
 
+  // Version the client's changes are based on, if it sent one
+  const expectedVersion = getExpectedVersion(req);
+  if (Number.isNaN(expectedVersion)) {
+    return sendInvalidVersion(res);
+  }
+  if (!checkBlockerOverride(req, res)) return;
+
   let task = await Task.findById(req.params.id);
 
   if (!task) {
@@ -202,6 +406,25 @@ export const updateTask = asyncHandler(async (req, res) => {
     });
   }
 
+  // If boardId is being updated, verify the user can move tasks onto it
+  const board = await Board.findById(req.body.boardId || task.boardId);
+  if (req.body.boardId) {
+    if (!board) {
+      return res.status(400).json({
+        success: false,
+        message: "Board not found",
+      });
+    }
+
+    // Moving a task onto a board needs the same rights as creating it there
+    if (!can(req.user, "task:create", board)) {
+      return res.status(403).json({
+        success: false,
+        message: "Not authorized to move tasks to this board",
+      });
+    }
+  }
+
   // If assigneeId is being updated, verify the new assignee exists
   if (req.body.assigneeId) {
     const assignee = await User.findById(req.body.assigneeId);
@@ -211,59 +434,127 @@ export const updateTask = asyncHandler(async (req, res) => {
         message: "Assignee not found",
       });
     }
+    if (board && !board.isMember(assignee._id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Assignee is not a member of this board",
+      });
+    }
     req.body.assignee = assignee.name;
   }
 
-  // Update task
-  task = await Task.findByIdAndUpdate(req.params.id, req.body, {
-    new: true,
-    runValidators: true,
-  })
-    .populate("assigneeId", "name email role")
-    .populate("createdBy", "name email role");
-
-  // Emit socket event for real-time updates
-  if (req.io) {
-    req.io.emit("taskUpdated", task);
+  // A new recurrence rule keeps the task's place in its series; null stops
+  // the task repeating
+  if (req.body.recurrence) {
+    // Monthly rules without a day keep to the new due date's day, or else
+    // the series' day
+    const monthDay = req.body.dueDate
+      ? new Date(req.body.dueDate).getUTCDate()
+      : task.recurrence?.monthDay || task.dueDate.getUTCDate();
+    const { rule, error } = parseRecurrence(req.body.recurrence, monthDay);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error,
+      });
+    }
+    req.body.recurrence = {
+      ...rule,
+      seriesId: task.recurrence?.seriesId,
+      skipCount: task.recurrence?.skipCount,
+      nextOccurrenceId: task.recurrence?.nextOccurrenceId,
+    };
   }
 
-  res.status(200).json({
-    success: true,
-    message: "Task updated successfully",
-    data: task,
+  // Update task (saved through the document so the status is checked
+  // against the board's workflow columns). Ordering only changes through
+  // the move endpoint; a task moved to another column goes to its end.
+  const updates = {};
+  TASK_FIELDS.forEach((field) => {
+    if (req.body[field] !== undefined) updates[field] = req.body[field];
   });
-});
+  // The assignee's name is only ever the one looked up above
+  if (req.body.assigneeId) updates.assignee = req.body.assignee;
+  task.$locals.overrideBlockers = Boolean(req.body.overrideBlockers);
+  task.$locals.readFilter = await getAccessFilter(req.user, "task:read");
+  const before = TaskHistory.snapshot(task);
+  const current = task.toJSON();
+  const previousMentions = task.mentions.map((mention) => mention.toObject());
+  task.set(updates);
+
+  // Changes to fields nobody else touched since the client's version are
+  // merged; changes to fields someone else did touch are refused
+  const conflicts = findConflicts(
+    task,
+    expectedVersion,
+    Object.keys(updates),
+    current
+  );
+  if (conflicts.length > 0) {
+    return sendConflict(res, current, conflicts);
+  }
 
-// @desc    Delete task
-// @route   DELETE /api/tasks/:id
-// @access  Private (Admin only)
-export const deleteTask = asyncHandler(async (req, res) => {
-  const task = await Task.findById(req.params.id);
+  // Re-resolve description @mentions when the description or access changes
+  let warnings = [];
+  if (
+    task.isModified("description") ||
+    task.isModified("assigneeId") ||
+    task.isModified("boardId")
+  ) {
+    const resolved = await resolveMentions(task.description, task);
+    task.mentions = resolved.mentions;
+    warnings = resolved.warnings;
+  }
 
-  if (!task) {
-    return res.status(404).json({
-      success: false,
-      message: "Task not found",
-    });
+  if (task.isModified("status") || task.isModified("boardId")) {
+    await task.saveWithRank();
+  } else {
+    await task.save();
   }
 
-  await Task.findByIdAndDelete(req.params.id);
+  // Only users newly mentioned by the update are notified
+  await notifyMentions(req.io, task.mentions, {
+    task,
+    from: req.user,
+    alreadyNotified: previousMentions,
+  });
+  await notifyTaskChanges(req, task, before);
+
+  // Record field-level changes
+  await TaskHistory.record({
+    task,
+    user: req.user,
+    action: "update",
+    changes: TaskHistory.diff(
+      before,
+      TaskHistory.snapshot(task),
+      Object.keys(updates)
+    ),
+  });
+
+  await task.populate("assigneeId", "name email role");
+  await task.populate("createdBy", "name email role");
 
   // Emit socket event for real-time updates
-  if (req.io) {
-    req.io.emit("taskDeleted", { taskId: req.params.id });
-  }
+  await emitTaskEvent(req.io, task, "taskUpdated", (role) =>
+    taskPayload(task, role)
+  );
+  await queueWebhookEvent("task.updated", { task: webhookTaskData(task) });
 
+  res.set("ETag", getETag(task));
   res.status(200).json({
     success: true,
-    message: "Task deleted successfully",
+    message: "Task updated successfully",
+    data: task,
+    merged: expectedVersion !== null && expectedVersion < current.version,
+    warnings,
   });
 });
 
-// @desc    Bulk update tasks
-// @route   PUT /api/tasks/bulk/update
-// @access  Private (Admin, Vendor)
-export const bulkUpdateTasks = asyncHandler(async (req, res) => {
+// @desc    Move task to a position in a workflow column
+// @route   POST /api/tasks/:id/move
+// @access  Private
+export const moveTask = asyncHandler(async (req, res) => {
   // Check for validation errors
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
@@ -274,78 +565,106 @@ export const bulkUpdateTasks = asyncHandler(async (req, res) => {
     });
   }
 
-  const { taskIds, updates } = req.body;
+  if (!checkBlockerOverride(req, res)) return;
 
-  // If assigneeId is being updated, verify the new assignee exists
-  if (updates.assigneeId) {
-    const assignee = await User.findById(updates.assigneeId);
-    if (!assignee) {
-      return res.status(400).json({
-        success: false,
-        message: "Assignee not found",
-      });
-    }
-    updates.assignee = assignee.name;
+  const task = await Task.findById(req.params.id);
+
+  if (!task) {
+    return res.status(404).json({
+      success: false,
+      message: "Task not found",
+    });
   }
 
-  // Build query based on user role
-  let query = { _id: { $in: taskIds } };
+  const { status, afterId, beforeId, overrideBlockers } = req.body;
+  const fromStatus = task.status;
+  const fromCompletedAt = task.completedAt;
 
-  if (req.user.role === "vendor") {
-    query.$or = [{ assigneeId: req.user._id }, { createdBy: req.user._id }];
-  }
+  task.status = status;
+  task.$locals.overrideBlockers = Boolean(overrideBlockers);
+  task.$locals.readFilter = await getAccessFilter(req.user, "task:read");
+  await task.saveWithRank({ afterId, beforeId });
 
-  // Update tasks
-  const result = await Task.updateMany(query, updates);
+  await notifyTaskChanges(req, task, {
+    status: fromStatus,
+    assigneeId: task.assigneeId,
+    completedAt: fromCompletedAt,
+  });
 
-  // Get updated tasks for real-time updates
-  const updatedTasks = await Task.find({ _id: { $in: taskIds } })
-    .populate("assigneeId", "name email role")
-    .populate("createdBy", "name email role");
+  await TaskHistory.record({
+    task,
+    user: req.user,
+    action: "move",
+    changes: TaskHistory.diff(
+      { status: fromStatus },
+      { status: task.status },
+      ["status"]
+    ),
+  });
 
-  // Emit socket event for real-time updates
-  if (req.io) {
-    req.io.emit("tasksBulkUpdated", updatedTasks);
-  }
+  // One event carrying the new rank lets clients re-insert the card exactly
+  await emitTaskEvent(req.io, task, "taskMoved", {
+    taskId: task._id,
+    boardId: task.boardId,
+    fromStatus,
+    toStatus: task.status,
+    rank: task.rank,
+    completedAt: task.completedAt,
+    updatedAt: task.updatedAt,
+    movedBy: req.user._id,
+  });
+  await queueWebhookEvent("task.updated", { task: webhookTaskData(task) });
 
   res.status(200).json({
     success: true,
-    message: `${result.modifiedCount} tasks updated successfully`,
-    modifiedCount: result.modifiedCount,
+    message: "Task moved successfully",
+    data: task,
   });
 });
 
-// @desc    Bulk delete tasks
-// @route   DELETE /api/tasks/bulk/delete
+// @desc    Delete task (moves it to the trash)
+// @route   DELETE /api/tasks/:id
 // @access  Private (Admin only)
-export const bulkDeleteTasks = asyncHandler(async (req, res) => {
-  const { taskIds } = req.body;
+export const deleteTask = asyncHandler(async (req, res) => {
+  const task = await Task.findById(req.params.id);
 
-  if (!taskIds || !Array.isArray(taskIds) || taskIds.length === 0) {
-    return res.status(400).json({
+  if (!task) {
+    return res.status(404).json({
       success: false,
-      message: "Task IDs array is required",
+      message: "Task not found",
     });
   }
 
-  const result = await Task.deleteMany({ _id: { $in: taskIds } });
+  await stopTimersForTrash([task._id]);
+
+  // Trashed tasks give up their place in the column and get a new one
+  // at the end of it when restored
+  task.deletedAt = new Date();
+  task.deletedBy = req.user._id;
+  task.rank = undefined;
+  await task.save();
 
   // Emit socket event for real-time updates
-  if (req.io) {
-    req.io.emit("tasksBulkDeleted", { taskIds });
-  }
+  await emitTaskEvent(req.io, task, "taskDeleted", {
+    taskId: task._id,
+    boardId: task.boardId,
+  });
+  await queueWebhookEvent("task.deleted", {
+    taskId: task._id,
+    boardId: task.boardId,
+  });
 
   res.status(200).json({
     success: true,
-    message: `${result.deletedCount} tasks deleted successfully`,
-    deletedCount: result.deletedCount,
+    message: "Task moved to trash",
+    data: { purgeAt: getPurgeDate(task.deletedAt) },
   });
 });
 
-// @desc    Add comment to task
-// @route   POST /api/tasks/:id/comments
-// @access  Private
-export const addComment = asyncHandler(async (req, res) => {
+// @desc    Get tasks in the trash
+// @route   GET /api/tasks/trash
+// @access  Private (Admin only)
+export const getTrashedTasks = asyncHandler(async (req, res) => {
   // Check for validation errors
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
@@ -356,81 +675,620 @@ export const addComment = asyncHandler(async (req, res) => {
     });
   }
 
-  const task = await Task.findById(req.params.id);
-
-  if (!task) {
-    return res.status(404).json({
-      success: false,
-      message: "Task not found",
-    });
-  }
+  const { boardId, page = 1, limit = 50 } = req.query;
 
-  const comment = {
-    text: req.body.text,
-    author: req.user.name,
-    authorId: req.user._id,
-    authorRole: req.user.role,
-    createdAt: new Date(),
-  };
+  const query = { deletedAt: { $ne: null } };
+  if (boardId) query.boardId = boardId;
 
-  task.comments.push(comment);
-  await task.save();
+  // Pagination
+  const pageNum = parseInt(page);
+  const limitNum = parseInt(limit);
+  const skip = (pageNum - 1) * limitNum;
 
-  // Populate the new comment
-  await task.populate("comments.authorId", "name email role");
+  const tasks = await Task.find(query)
+    .populate("assigneeId", "name email role")
+    .populate("deletedBy", "name email role")
+    .sort({ deletedAt: -1 })
+    .skip(skip)
+    .limit(limitNum);
 
-  // Emit socket event for real-time updates
-  if (req.io) {
-    req.io.emit("commentAdded", {
-      taskId: task._id,
-      comment: task.comments[task.comments.length - 1],
-    });
-  }
+  const total = await Task.countDocuments(query);
 
-  res.status(201).json({
+  res.status(200).json({
     success: true,
-    message: "Comment added successfully",
-    data: task.comments[task.comments.length - 1],
+    count: tasks.length,
+    total,
+    pagination: {
+      page: pageNum,
+      limit: limitNum,
+      pages: Math.ceil(total / limitNum),
+    },
+    data: tasks.map((task) => ({
+      ...task.toJSON(),
+      purgeAt: getPurgeDate(task.deletedAt),
+    })),
   });
 });
 
-// @desc    Update subtask
-// @route   PUT /api/tasks/:id/subtasks/:subtaskId
-// @access  Private
-export const updateSubtask = asyncHandler(async (req, res) => {
-  const task = await Task.findById(req.params.id);
+// @desc    Restore task from the trash
+// @route   POST /api/tasks/:id/restore
+// @access  Private (Admin only)
+export const restoreTask = asyncHandler(async (req, res) => {
+  const task = await Task.findOne({
+    _id: req.params.id,
+    deletedAt: { $ne: null },
+  });
 
   if (!task) {
     return res.status(404).json({
       success: false,
-      message: "Task not found",
+      message: "Task not found in trash",
     });
   }
 
-  const subtask = task.subtasks.id(req.params.subtaskId);
-  if (!subtask) {
-    return res.status(404).json({
+  if (getPurgeDate(task.deletedAt) <= new Date()) {
+    return res.status(410).json({
       success: false,
-      message: "Subtask not found",
+      message:
+        "Task is past the trash retention window and can no longer be restored",
     });
   }
 
-  // Update subtask
-  Object.assign(subtask, req.body);
-  await task.save();
-
-  // Emit socket event for real-time updates
-  if (req.io) {
-    req.io.emit("subtaskUpdated", {
-      taskId: task._id,
-      subtask,
+  if (!(await Board.exists({ _id: task.boardId }))) {
+    return res.status(409).json({
+      success: false,
+      message: "The task's board no longer exists",
     });
   }
 
-  res.status(200).json({
+  task.deletedAt = null;
+  task.deletedBy = null;
+  await task.saveWithRank();
+
+  await task.populate("assigneeId", "name email role");
+  await task.populate("createdBy", "name email role");
+
+  // Emit socket event for real-time updates
+  await emitTaskEvent(req.io, task, "taskRestored", (role) =>
+    taskPayload(task, role)
+  );
+  await queueWebhookEvent("task.updated", { task: webhookTaskData(task) });
+
+  res.status(200).json({
     success: true,
-    message: "Subtask updated successfully",
-    data: subtask,
+    message: "Task restored successfully",
+    data: task,
+  });
+});
+
+// @desc    Skip the next occurrence of a recurring task
+// @route   POST /api/tasks/:id/recurrence/skip
+// @access  Private
+export const skipOccurrence = asyncHandler(async (req, res) => {
+  const task = await Task.findById(req.params.id);
+
+  if (!task) {
+    return res.status(404).json({
+      success: false,
+      message: "Task not found",
+    });
+  }
+
+  if (!task.recurrence) {
+    return res.status(400).json({
+      success: false,
+      message: "Task does not repeat",
+    });
+  }
+
+  const [upcoming] = await findUpcomingOccurrences(task);
+  if (!upcoming) {
+    return res.status(400).json({
+      success: false,
+      message: "This series has ended",
+    });
+  }
+
+  const skippedDate = upcoming.getNextDueDate();
+  if (!skippedDate) {
+    return res.status(400).json({
+      success: false,
+      message: "This series has no more occurrences to skip",
+    });
+  }
+
+  upcoming.recurrence.skipCount += 1;
+  await upcoming.save();
+
+  res.status(200).json({
+    success: true,
+    message: "Occurrence skipped successfully",
+    data: {
+      skippedDate,
+      nextDueDate: upcoming.getNextDueDate(),
+    },
+  });
+});
+
+// @desc    Stop a recurring task from creating more occurrences
+// @route   POST /api/tasks/:id/recurrence/stop
+// @access  Private
+export const stopRecurrence = asyncHandler(async (req, res) => {
+  const task = await Task.findById(req.params.id);
+
+  if (!task) {
+    return res.status(404).json({
+      success: false,
+      message: "Task not found",
+    });
+  }
+
+  if (!task.recurrence) {
+    return res.status(400).json({
+      success: false,
+      message: "Task does not repeat",
+    });
+  }
+
+  // Existing occurrences stay; only new ones stop being created
+  const upcoming = await findUpcomingOccurrences(task);
+  for (const occurrence of upcoming) {
+    occurrence.recurrence.stoppedAt = new Date();
+    await occurrence.save();
+
+    await emitTaskEvent(req.io, occurrence, "taskUpdated", (role) =>
+      taskPayload(occurrence, role)
+    );
+    await queueWebhookEvent("task.updated", {
+      task: webhookTaskData(occurrence),
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: "Recurring task stopped successfully",
+    stoppedCount: upcoming.length,
+  });
+});
+
+// @desc    Archive task
+// @route   POST /api/tasks/:id/archive
+// @access  Private
+export const archiveTask = asyncHandler(async (req, res) => {
+  const task = await Task.findById(req.params.id);
+
+  if (!task) {
+    return res.status(404).json({
+      success: false,
+      message: "Task not found",
+    });
+  }
+
+  if (!task.isArchived) {
+    setArchived(task, true, req.user);
+    await task.save();
+
+    // Emit socket event for real-time updates
+    await emitTaskEvent(req.io, task, "taskArchived", {
+      taskId: task._id,
+      boardId: task.boardId,
+    });
+    await queueWebhookEvent("task.updated", { task: webhookTaskData(task) });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: "Task archived successfully",
+    data: task,
+  });
+});
+
+// @desc    Unarchive task
+// @route   POST /api/tasks/:id/unarchive
+// @access  Private
+export const unarchiveTask = asyncHandler(async (req, res) => {
+  const task = await Task.findById(req.params.id);
+
+  if (!task) {
+    return res.status(404).json({
+      success: false,
+      message: "Task not found",
+    });
+  }
+
+  if (task.isArchived) {
+    setArchived(task, false, req.user);
+    await task.save();
+
+    await task.populate("assigneeId", "name email role");
+    await task.populate("createdBy", "name email role");
+
+    // Emit socket event for real-time updates
+    await emitTaskEvent(req.io, task, "taskUnarchived", (role) =>
+      taskPayload(task, role)
+    );
+    await queueWebhookEvent("task.updated", { task: webhookTaskData(task) });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: "Task unarchived successfully",
+    data: task,
+  });
+});
+
+// @desc    Get archived tasks
+// @route   GET /api/tasks/archived
+// @access  Private
+export const getArchivedTasks = asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: errors.array(),
+    });
+  }
+
+  const { boardId, page = 1, limit = 50 } = req.query;
+
+  // Only tasks the user can see
+  const query = {
+    isArchived: true,
+    ...(await getAccessFilter(req.user, "task:read")),
+  };
+  if (boardId) query.boardId = boardId;
+
+  // Pagination
+  const pageNum = parseInt(page);
+  const limitNum = parseInt(limit);
+  const skip = (pageNum - 1) * limitNum;
+
+  const tasks = await Task.find(query)
+    .populate("assigneeId", "name email role")
+    .populate("createdBy", "name email role")
+    .populate("archivedBy", "name email role")
+    .sort({ archivedAt: -1 })
+    .skip(skip)
+    .limit(limitNum);
+
+  const total = await Task.countDocuments(query);
+
+  res.status(200).json({
+    success: true,
+    count: tasks.length,
+    total,
+    pagination: {
+      page: pageNum,
+      limit: limitNum,
+      pages: Math.ceil(total / limitNum),
+    },
+    data: tasks,
+  });
+});
+
+// @desc    Bulk update tasks
+// @route   PUT /api/tasks/bulk/update
+// @access  Private (Admin, Vendor)
+export const bulkUpdateTasks = asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: errors.array(),
+    });
+  }
+
+  if (!checkBlockerOverride(req, res)) return;
+
+  const { taskIds, versions = {}, overrideBlockers } = req.body;
+  const updates = {};
+  BULK_TASK_FIELDS.forEach((field) => {
+    if (req.body.updates[field] !== undefined) {
+      updates[field] = req.body.updates[field];
+    }
+  });
+
+  // If assigneeId is being updated, verify the new assignee exists
+  let assignee = null;
+  if (updates.assigneeId) {
+    assignee = await User.findById(updates.assigneeId);
+    if (!assignee) {
+      return res.status(400).json({
+        success: false,
+        message: "Assignee not found",
+      });
+    }
+    updates.assignee = assignee.name;
+  }
+
+  // If boardId is being updated, verify the user can move tasks onto it
+  if (updates.boardId) {
+    const board = await Board.findById(updates.boardId);
+    if (!board) {
+      return res.status(400).json({
+        success: false,
+        message: "Board not found",
+      });
+    }
+
+    // Moving a task onto a board needs the same rights as creating it there
+    if (!can(req.user, "task:create", board)) {
+      return res.status(403).json({
+        success: false,
+        message: "Not authorized to move tasks to this board",
+      });
+    }
+  }
+
+  // Only tasks the user can change
+  const query = {
+    _id: { $in: taskIds },
+    ...(await getAccessFilter(req.user, "task:bulkUpdate")),
+  };
+
+  // Apply updates and validate every task against its board's workflow
+  // columns before saving any of them
+  const tasks = await Task.find(query);
+
+  // The new assignee has to belong to the board of every task they get
+  if (assignee) {
+    const boardIds = updates.boardId
+      ? [updates.boardId]
+      : [...new Set(tasks.map((task) => task.boardId.toString()))];
+    const boards = await Board.find({ _id: { $in: boardIds } });
+    const outside = boards.find((board) => !board.isMember(assignee._id));
+    if (outside) {
+      return res.status(400).json({
+        success: false,
+        message: `Assignee is not a member of the board "${outside.name}"`,
+      });
+    }
+  }
+
+  const snapshots = new Map(
+    tasks.map((task) => [task._id.toString(), TaskHistory.snapshot(task)])
+  );
+
+  // Tasks listed in `versions` follow the same conflict rules as single
+  // updates; nothing is saved if any of them conflict
+  const conflicts = [];
+  const readFilter = await getAccessFilter(req.user, "task:read");
+  for (const task of tasks) {
+    const current = task.toJSON();
+    task.set(updates);
+    task.$locals.overrideBlockers = Boolean(overrideBlockers);
+    task.$locals.readFilter = readFilter;
+
+    const expectedVersion = versions[task._id.toString()];
+    if (expectedVersion === undefined) continue;
+
+    const taskConflicts = findConflicts(
+      task,
+      Number(expectedVersion),
+      Object.keys(updates),
+      current
+    );
+    if (taskConflicts.length > 0) {
+      conflicts.push({
+        taskId: task._id,
+        conflicts: taskConflicts,
+        data: current,
+      });
+    }
+  }
+
+  if (conflicts.length > 0) {
+    return res.status(409).json({
+      success: false,
+      message:
+        "Some tasks were changed by someone else in the meantime. No tasks were updated.",
+      conflicts,
+    });
+  }
+
+  for (const task of tasks) {
+    try {
+      await task.validate();
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: `Task ${task._id} could not be updated: ${error.message}`,
+      });
+    }
+  }
+
+  // Update tasks
+  const modifiedTasks = tasks.filter((task) => task.isModified());
+  for (const task of modifiedTasks) {
+    if (task.isModified("status") || task.isModified("boardId")) {
+      await task.saveWithRank();
+    } else {
+      await task.save();
+    }
+
+    const before = snapshots.get(task._id.toString());
+    await TaskHistory.record({
+      task,
+      user: req.user,
+      action: "bulkUpdate",
+      changes: TaskHistory.diff(
+        before,
+        TaskHistory.snapshot(task),
+        Object.keys(updates)
+      ),
+    });
+    await notifyTaskChanges(req, task, before);
+  }
+  const result = { modifiedCount: modifiedTasks.length };
+
+  // Get updated tasks for real-time updates
+  const updatedTasks = await Task.find({ _id: { $in: taskIds } })
+    .populate("assigneeId", "name email role")
+    .populate("createdBy", "name email role");
+
+  // Emit socket event for real-time updates
+  await emitTasksEvent(
+    req.io,
+    updatedTasks,
+    "tasksBulkUpdated",
+    (role, tasks) => tasks.map((task) => taskPayload(task, role))
+  );
+  await queueWebhookEvents(
+    "task.updated",
+    updatedTasks.map((task) => ({ task: webhookTaskData(task) }))
+  );
+
+  res.status(200).json({
+    success: true,
+    message: `${result.modifiedCount} tasks updated successfully`,
+    modifiedCount: result.modifiedCount,
+  });
+});
+
+// @desc    Bulk delete tasks
+// @route   DELETE /api/tasks/bulk/delete
+// @access  Private (Admin only)
+export const bulkDeleteTasks = asyncHandler(async (req, res) => {
+  const { taskIds } = req.body;
+
+  if (!taskIds || !Array.isArray(taskIds) || taskIds.length === 0) {
+    return res.status(400).json({
+      success: false,
+      message: "Task IDs array is required",
+    });
+  }
+
+  const query = {
+    _id: { $in: taskIds },
+    ...(await getAccessFilter(req.user, "task:delete")),
+  };
+  const tasks = await Task.find(query).select("boardId assigneeId createdBy");
+  const trashedIds = tasks.map((task) => task._id);
+
+  await stopTimersForTrash(trashedIds);
+
+  const result = await Task.updateMany(
+    { _id: { $in: trashedIds } },
+    {
+      $set: { deletedAt: new Date(), deletedBy: req.user._id },
+      $unset: { rank: 1 },
+    }
+  );
+
+  // Emit socket event for real-time updates
+  await emitTasksEvent(req.io, tasks, "tasksBulkDeleted", (role, visible) => ({
+    taskIds: visible.map((task) => task._id),
+  }));
+  await queueWebhookEvents(
+    "task.deleted",
+    tasks.map((task) => ({ taskId: task._id, boardId: task.boardId }))
+  );
+
+  res.status(200).json({
+    success: true,
+    message: `${result.modifiedCount} tasks moved to trash`,
+    deletedCount: result.modifiedCount,
+  });
+});
+
+// @desc    Bulk archive tasks
+// @route   PUT /api/tasks/bulk/archive
+// @access  Private (Admin, Vendor)
+export const bulkArchiveTasks = asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: errors.array(),
+    });
+  }
+
+  const query = {
+    _id: { $in: req.body.taskIds },
+    isArchived: false,
+    ...(await getAccessFilter(req.user, "task:bulkUpdate")),
+  };
+  const tasks = await Task.find(query).select("boardId assigneeId createdBy");
+  const archivedIds = tasks.map((task) => task._id);
+
+  const result = await Task.updateMany(
+    { _id: { $in: archivedIds } },
+    { isArchived: true, archivedAt: new Date(), archivedBy: req.user._id }
+  );
+
+  // Emit socket event for real-time updates
+  await emitTasksEvent(req.io, tasks, "tasksBulkArchived", (role, visible) => ({
+    taskIds: visible.map((task) => task._id),
+  }));
+  const archivedTasks = await Task.find({ _id: { $in: archivedIds } })
+    .populate("assigneeId", "name email role")
+    .populate("createdBy", "name email role");
+  await queueWebhookEvents(
+    "task.updated",
+    archivedTasks.map((task) => ({ task: webhookTaskData(task) }))
+  );
+
+  res.status(200).json({
+    success: true,
+    message: `${result.modifiedCount} tasks archived successfully`,
+    modifiedCount: result.modifiedCount,
+  });
+});
+
+// @desc    Bulk unarchive tasks
+// @route   PUT /api/tasks/bulk/unarchive
+// @access  Private (Admin, Vendor)
+export const bulkUnarchiveTasks = asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: errors.array(),
+    });
+  }
+
+  const query = {
+    _id: { $in: req.body.taskIds },
+    isArchived: true,
+    ...(await getAccessFilter(req.user, "task:bulkUpdate")),
+  };
+  const tasks = await Task.find(query).select("boardId assigneeId createdBy");
+  const unarchivedIds = tasks.map((task) => task._id);
+
+  const result = await Task.updateMany(
+    { _id: { $in: unarchivedIds } },
+    { isArchived: false, archivedAt: null, archivedBy: null }
+  );
+
+  // Get unarchived tasks so boards can show them again
+  const unarchivedTasks = await Task.find({ _id: { $in: unarchivedIds } })
+    .populate("assigneeId", "name email role")
+    .populate("createdBy", "name email role");
+
+  // Emit socket event for real-time updates
+  await emitTasksEvent(
+    req.io,
+    unarchivedTasks,
+    "tasksBulkUnarchived",
+    (role, tasks) => tasks.map((task) => taskPayload(task, role))
+  );
+  await queueWebhookEvents(
+    "task.updated",
+    unarchivedTasks.map((task) => ({ task: webhookTaskData(task) }))
+  );
+
+  res.status(200).json({
+    success: true,
+    message: `${result.modifiedCount} tasks unarchived successfully`,
+    modifiedCount: result.modifiedCount,
   });
 });
 
@@ -438,16 +1296,25 @@ export const updateSubtask = asyncHandler(async (req, res) => {
 // @route   GET /api/tasks/stats
 // @access  Private
 export const getTaskStats = asyncHandler(async (req, res) => {
-  // Build query based on user role
-  let matchQuery = { isArchived: false };
-
-  if (req.user.role === "customer") {
-    matchQuery.assigneeId = req.user._id;
-  } else if (req.user.role === "vendor") {
-    matchQuery.$or = [
-      { assigneeId: req.user._id },
-      { createdBy: req.user._id },
-    ];
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: errors.array(),
+    });
+  }
+
+  // Only tasks the user can see
+  const matchQuery = {
+    isArchived: false,
+    ...(await getAccessFilter(req.user, "task:read")),
+  };
+
+  // Aggregation pipelines do not cast ids
+  if (req.query.boardId) {
+    matchQuery.boardId = new mongoose.Types.ObjectId(req.query.boardId);
   }
 
   const stats = await Task.aggregate([
@@ -456,11 +1323,8 @@ export const getTaskStats = asyncHandler(async (req, res) => {
       $group: {
         _id: null,
         total: { $sum: 1 },
-        todo: { $sum: { $cond: [{ $eq: ["$status", "todo"] }, 1, 0] } },
-        inprogress: {
-          $sum: { $cond: [{ $eq: ["$status", "inprogress"] }, 1, 0] },
-        },
-        done: { $sum: { $cond: [{ $eq: ["$status", "done"] }, 1, 0] } },
+        // completedAt is set whenever a task sits in a done column
+        done: { $sum: { $cond: [{ $ne: ["$completedAt", null] }, 1, 0] } },
         high: { $sum: { $cond: [{ $eq: ["$priority", "high"] }, 1, 0] } },
         medium: { $sum: { $cond: [{ $eq: ["$priority", "medium"] }, 1, 0] } },
         low: { $sum: { $cond: [{ $eq: ["$priority", "low"] }, 1, 0] } },
@@ -469,7 +1333,7 @@ export const getTaskStats = asyncHandler(async (req, res) => {
             $cond: [
               {
                 $and: [
-                  { $ne: ["$status", "done"] },
+                  { $eq: ["$completedAt", null] },
                   { $lt: ["$dueDate", new Date()] },
                 ],
               },
@@ -484,14 +1348,42 @@ export const getTaskStats = asyncHandler(async (req, res) => {
 
   const result = stats[0] || {
     total: 0,
-    todo: 0,
-    inprogress: 0,
     done: 0,
     high: 0,
     medium: 0,
     low: 0,
     overdue: 0,
   };
+  delete result._id;
+
+  // Count tasks per workflow column on each board in scope
+  const statusCounts = await Task.aggregate([
+    { $match: matchQuery },
+    {
+      $group: {
+        _id: { boardId: "$boardId", status: "$status" },
+        count: { $sum: 1 },
+      },
+    },
+  ]);
+
+  const boards = await Board.find({
+    _id: { $in: statusCounts.map((s) => s._id.boardId) },
+  }).select("name columns");
+
+  result.byBoard = boards.map((board) => ({
+    boardId: board._id,
+    name: board.name,
+    columns: board.columns.map((column) => ({
+      key: column.key,
+      name: column.name,
+      isDone: column.isDone,
+      count:
+        statusCounts.find(
+          (s) => s._id.boardId.equals(board._id) && s._id.status === column.key
+        )?.count || 0,
+    })),
+  }));
 
   res.status(200).json({
     success: true,
@@ -503,18 +1395,24 @@ export const getTaskStats = asyncHandler(async (req, res) => {
 // @route   GET /api/tasks/overdue
 // @access  Private
 export const getOverdueTasks = asyncHandler(async (req, res) => {
-  // Build query based on user role
-  let query = {
-    status: { $ne: "done" },
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: errors.array(),
+    });
+  }
+
+  // Only tasks the user can see
+  const query = {
+    completedAt: null,
     dueDate: { $lt: new Date() },
     isArchived: false,
+    ...(await getAccessFilter(req.user, "task:read")),
   };
-
-  if (req.user.role === "customer") {
-    query.assigneeId = req.user._id;
-  } else if (req.user.role === "vendor") {
-    query.$or = [{ assigneeId: req.user._id }, { createdBy: req.user._id }];
-  }
+  if (req.query.boardId) query.boardId = req.query.boardId;
 
   const overdueTasks = await Task.find(query)
     .populate("assigneeId", "name email role")
@@ -0,0 +1,266 @@
+import { validationResult } from "express-validator";
+import Task, { TASK_FIELDS } from "../models/Task.js";
+import Board from "../models/Board.js";
+import User from "../models/User.js";
+import TaskHistory from "../models/TaskHistory.js";
+import { asyncHandler } from "../middleware/errorHandler.js";
+import { can, getAccessFilter } from "../utils/policy.js";
+import { notifyUnblockedTasks } from "../utils/dependencies.js";
+import { createNextOccurrence } from "../jobs/recurringTasks.js";
+import { emitTaskEvent, taskPayload } from "../socket/taskEvents.js";
+import { queueWebhookEvent, webhookTaskData } from "../utils/webhooks.js";
+
+// @desc    Get change history of a task
+// @route   GET /api/tasks/:id/history
+// @access  Private
+export const getTaskHistory = asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: errors.array(),
+    });
+  }
+
+  const task = await Task.findById(req.params.id).select("_id");
+
+  if (!task) {
+    return res.status(404).json({
+      success: false,
+      message: "Task not found",
+    });
+  }
+
+  const { page = 1, limit = 50 } = req.query;
+
+  // Pagination
+  const pageNum = parseInt(page);
+  const limitNum = parseInt(limit);
+  const skip = (pageNum - 1) * limitNum;
+
+  const history = await TaskHistory.find({ taskId: task._id })
+    .populate("user", "name email role")
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(limitNum);
+
+  const total = await TaskHistory.countDocuments({ taskId: task._id });
+
+  res.status(200).json({
+    success: true,
+    count: history.length,
+    total,
+    pagination: {
+      page: pageNum,
+      limit: limitNum,
+      pages: Math.ceil(total / limitNum),
+    },
+    data: history,
+  });
+});
+
+// @desc    Revert the changes recorded in a history entry
+// @route   POST /api/tasks/:id/history/:entryId/revert
+// @access  Private (Admin, task creator or the author of the change)
+export const revertTaskHistory = asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: errors.array(),
+    });
+  }
+
+  const task = await Task.findById(req.params.id);
+
+  if (!task) {
+    return res.status(404).json({
+      success: false,
+      message: "Task not found",
+    });
+  }
+
+  const entry = await TaskHistory.findOne({
+    _id: req.params.entryId,
+    taskId: task._id,
+  });
+
+  if (!entry) {
+    return res.status(404).json({
+      success: false,
+      message: "History entry not found",
+    });
+  }
+
+  // Check revert permissions
+  if (!can(req.user, "history:revert", entry, { task, board: req.board })) {
+    return res.status(403).json({
+      success: false,
+      message: "Not authorized to revert this change",
+    });
+  }
+
+  if (entry.action === "comment") {
+    return res.status(400).json({
+      success: false,
+      message: "Comment history entries cannot be reverted",
+    });
+  }
+
+  // Revert all recorded fields, or only the requested ones. Task entries
+  // only revert fields clients can edit (and the assignee's name along with
+  // assigneeId); older entries may also hold fields such as attachments or
+  // createdBy, which only change through their own routes.
+  const { fields, force = false } = req.body;
+  const revertable = entry.subtaskId
+    ? entry.changes
+    : entry.changes.filter(
+        (change) =>
+          TASK_FIELDS.includes(change.field) || change.field === "assignee"
+      );
+  const changes = fields
+    ? revertable.filter((change) => fields.includes(change.field))
+    : revertable;
+
+  if (changes.length === 0) {
+    return res.status(400).json({
+      success: false,
+      message: "No matching fields to revert",
+    });
+  }
+
+  const target = entry.subtaskId ? task.subtasks.id(entry.subtaskId) : task;
+
+  if (!target) {
+    return res.status(404).json({
+      success: false,
+      message: "Subtask not found",
+    });
+  }
+
+  // Refuse to overwrite fields that changed again since this entry, unless forced
+  const revertFields = changes.map((change) => change.field);
+  const before = TaskHistory.snapshot(target);
+  const expected = Object.fromEntries(
+    changes.map((change) => [change.field, change.newValue])
+  );
+  const conflicts = TaskHistory.diff(expected, before, revertFields);
+
+  if (conflicts.length > 0 && !force) {
+    return res.status(409).json({
+      success: false,
+      message:
+        "Some fields have changed since this entry. Pass force to revert anyway.",
+      conflicts: conflicts.map((conflict) => ({
+        field: conflict.field,
+        expected: conflict.oldValue,
+        current: conflict.newValue,
+      })),
+    });
+  }
+
+  changes.forEach((change) => target.set(change.field, change.oldValue));
+
+  // Moving the task back to its old board needs the same rights as moving
+  // it there through an update
+  if (task.isModified("boardId")) {
+    const board = await Board.findById(task.boardId);
+    if (!board) {
+      return res.status(400).json({
+        success: false,
+        message: "Board not found",
+      });
+    }
+
+    if (!can(req.user, "task:create", board)) {
+      return res.status(403).json({
+        success: false,
+        message: "Not authorized to move tasks to this board",
+      });
+    }
+  }
+
+  // A reverted assignee has to still belong to the task's board, as for
+  // updates, and their name is looked up again
+  if (target.isModified("assigneeId")) {
+    if (target.assigneeId) {
+      const assignee = await User.findById(target.assigneeId);
+      if (!assignee) {
+        return res.status(400).json({
+          success: false,
+          message: "Assignee not found",
+        });
+      }
+
+      const board = await Board.findById(task.boardId);
+      if (!board || !board.isMember(assignee._id)) {
+        return res.status(400).json({
+          success: false,
+          message: "Assignee is not a member of this board",
+        });
+      }
+      target.assignee = assignee.name;
+    } else {
+      // Only subtasks can be unassigned
+      target.assignee = null;
+    }
+  }
+
+  task.$locals.readFilter = await getAccessFilter(req.user, "task:read");
+
+  if (task.isModified("status") || task.isModified("boardId")) {
+    await task.saveWithRank();
+  } else {
+    await task.save();
+  }
+
+  if (!entry.subtaskId && task.completedAt && !before.completedAt) {
+    await notifyUnblockedTasks(req.io, task, req.user);
+    await createNextOccurrence(req.io, task);
+  }
+
+  const revertEntry = await TaskHistory.record({
+    task,
+    user: req.user,
+    action: "revert",
+    subtaskId: entry.subtaskId,
+    revertOf: entry._id,
+    changes: TaskHistory.diff(
+      before,
+      TaskHistory.snapshot(target),
+      revertFields
+    ),
+  });
+
+  await task.populate("assigneeId", "name email role");
+  await task.populate("createdBy", "name email role");
+
+  // Emit socket event for real-time updates
+  if (entry.subtaskId) {
+    await emitTaskEvent(req.io, task, "subtaskUpdated", {
+      taskId: task._id,
+      subtask: target,
+    });
+    await queueWebhookEvent("subtask.updated", {
+      taskId: task._id,
+      boardId: task.boardId,
+      subtask: target,
+    });
+  } else {
+    await emitTaskEvent(req.io, task, "taskUpdated", (role) =>
+      taskPayload(task, role)
+    );
+    await queueWebhookEvent("task.updated", { task: webhookTaskData(task) });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: "Change reverted successfully",
+    data: task,
+    history: revertEntry,
+  });
+});
@@ -0,0 +1,309 @@
+import { validationResult } from "express-validator";
+import Task from "../models/Task.js";
+import TimeEntry from "../models/TimeEntry.js";
+import { asyncHandler } from "../middleware/errorHandler.js";
+import { can } from "../utils/policy.js";
+import { emitTaskEvent } from "../socket/taskEvents.js";
+
+// Time entry fields clients may set directly
+const TIME_ENTRY_FIELDS = ["startedAt", "endedAt", "note"];
+
+// Recalculate a task's time spent and let clients know about it
+const syncTaskTime = async (req, taskId) => {
+  const task = await TimeEntry.syncTaskTime(taskId);
+
+  await emitTaskEvent(req.io, task, "taskTimeUpdated", {
+    taskId,
+    timeSpent: task?.timeSpent,
+    formattedTimeSpent: task?.formattedTimeSpent,
+  });
+
+  return task;
+};
+
+// Find a time entry on the task, sending a 404 when it is missing and a 403
+// when the user may not perform the action on it
+const findOwnTimeEntry = async (req, res, action) => {
+  const entry = await TimeEntry.findOne({
+    _id: req.params.entryId,
+    taskId: req.params.id,
+  });
+
+  if (!entry) {
+    res.status(404).json({
+      success: false,
+      message: "Time entry not found",
+    });
+    return null;
+  }
+
+  const task = await Task.findById(req.params.id).select(
+    "boardId assigneeId createdBy"
+  );
+  if (!can(req.user, action, entry, { task, board: req.board })) {
+    res.status(403).json({
+      success: false,
+      message: "Not authorized to change this time entry",
+    });
+    return null;
+  }
+
+  return entry;
+};
+
+// @desc    Get current user's running timer
+// @route   GET /api/tasks/timer
+// @access  Private
+export const getRunningTimer = asyncHandler(async (req, res) => {
+  const entry = await TimeEntry.findOne({
+    user: req.user._id,
+    endedAt: null,
+  }).populate("taskId", "title status boardId");
+
+  res.status(200).json({
+    success: true,
+    data: entry,
+  });
+});
+
+// @desc    Start a timer on a task
+// @route   POST /api/tasks/:id/timer/start
+// @access  Private
+export const startTimer = asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: errors.array(),
+    });
+  }
+
+  const task = await Task.findById(req.params.id).select(
+    "boardId assigneeId createdBy"
+  );
+
+  if (!task) {
+    return res.status(404).json({
+      success: false,
+      message: "Task not found",
+    });
+  }
+
+  let entry;
+  try {
+    entry = await TimeEntry.create({
+      user: req.user._id,
+      taskId: task._id,
+      startedAt: new Date(),
+      note: req.body.note,
+    });
+  } catch (error) {
+    // The unique index allows a single running timer per user
+    if (error.code !== 11000) throw error;
+
+    const running = await TimeEntry.findOne({
+      user: req.user._id,
+      endedAt: null,
+    });
+    return res.status(409).json({
+      success: false,
+      message: "You already have a running timer. Stop it first.",
+      data: running,
+    });
+  }
+
+  // Emit socket event for real-time updates
+  await emitTaskEvent(req.io, task, "timerStarted", {
+    taskId: task._id,
+    entry,
+  });
+
+  res.status(201).json({
+    success: true,
+    message: "Timer started successfully",
+    data: entry,
+  });
+});
+
+// @desc    Stop the current user's timer on a task
+// @route   POST /api/tasks/:id/timer/stop
+// @access  Private
+export const stopTimer = asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: errors.array(),
+    });
+  }
+
+  const entry = await TimeEntry.findOne({
+    user: req.user._id,
+    taskId: req.params.id,
+    endedAt: null,
+  });
+
+  if (!entry) {
+    return res.status(404).json({
+      success: false,
+      message: "No running timer on this task",
+    });
+  }
+
+  entry.endedAt = new Date();
+  if (req.body.note !== undefined) entry.note = req.body.note;
+  await entry.save();
+
+  const task = await syncTaskTime(req, entry.taskId);
+
+  // Emit socket event for real-time updates
+  await emitTaskEvent(req.io, task, "timerStopped", {
+    taskId: entry.taskId,
+    entry,
+  });
+
+  res.status(200).json({
+    success: true,
+    message: "Timer stopped successfully",
+    data: entry,
+    timeSpent: task?.timeSpent,
+  });
+});
+
+// @desc    Get time entries of a task
+// @route   GET /api/tasks/:id/time-entries
+// @access  Private
+export const getTimeEntries = asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: errors.array(),
+    });
+  }
+
+  const { page = 1, limit = 50 } = req.query;
+
+  // Pagination
+  const pageNum = parseInt(page);
+  const limitNum = parseInt(limit);
+  const skip = (pageNum - 1) * limitNum;
+
+  const entries = await TimeEntry.find({ taskId: req.params.id })
+    .populate("user", "name email role")
+    .sort({ startedAt: -1 })
+    .skip(skip)
+    .limit(limitNum);
+
+  const total = await TimeEntry.countDocuments({ taskId: req.params.id });
+
+  res.status(200).json({
+    success: true,
+    count: entries.length,
+    total,
+    pagination: {
+      page: pageNum,
+      limit: limitNum,
+      pages: Math.ceil(total / limitNum),
+    },
+    data: entries,
+  });
+});
+
+// @desc    Add a manual time entry
+// @route   POST /api/tasks/:id/time-entries
+// @access  Private
+export const addTimeEntry = asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: errors.array(),
+    });
+  }
+
+  const task = await Task.findById(req.params.id).select("_id");
+
+  if (!task) {
+    return res.status(404).json({
+      success: false,
+      message: "Task not found",
+    });
+  }
+
+  const { startedAt, endedAt, note } = req.body;
+  const entry = await TimeEntry.create({
+    user: req.user._id,
+    taskId: task._id,
+    startedAt,
+    endedAt,
+    note,
+  });
+
+  const updatedTask = await syncTaskTime(req, task._id);
+
+  res.status(201).json({
+    success: true,
+    message: "Time entry added successfully",
+    data: entry,
+    timeSpent: updatedTask?.timeSpent,
+  });
+});
+
+// @desc    Update a time entry
+// @route   PUT /api/tasks/:id/time-entries/:entryId
+// @access  Private (Entry owner, Admin)
+export const updateTimeEntry = asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: errors.array(),
+    });
+  }
+
+  const entry = await findOwnTimeEntry(req, res, "timeEntry:update");
+  if (!entry) return;
+
+  // Only accept known time entry fields
+  TIME_ENTRY_FIELDS.forEach((field) => {
+    if (req.body[field] !== undefined) entry.set(field, req.body[field]);
+  });
+  await entry.save();
+
+  const task = await syncTaskTime(req, entry.taskId);
+
+  res.status(200).json({
+    success: true,
+    message: "Time entry updated successfully",
+    data: entry,
+    timeSpent: task?.timeSpent,
+  });
+});
+
+// @desc    Delete a time entry
+// @route   DELETE /api/tasks/:id/time-entries/:entryId
+// @access  Private (Entry owner, Admin)
+export const deleteTimeEntry = asyncHandler(async (req, res) => {
+  const entry = await findOwnTimeEntry(req, res, "timeEntry:delete");
+  if (!entry) return;
+
+  await entry.deleteOne();
+  const task = await syncTaskTime(req, entry.taskId);
+
+  res.status(200).json({
+    success: true,
+    message: "Time entry deleted successfully",
+    timeSpent: task?.timeSpent,
+  });
+});
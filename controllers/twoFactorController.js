@@ -0,0 +1,185 @@
+import { validationResult } from "express-validator";
+import User from "../models/User.js";
+import Setting from "../models/Setting.js";
+import { asyncHandler } from "../middleware/errorHandler.js";
+import { generateSecret, buildOtpauthUri } from "../utils/totp.js";
+
+// @desc    Start two-factor setup with a new TOTP secret
+// @route   POST /api/auth/2fa/setup
+// @access  Private
+export const setupTwoFactor = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user.id).select(
+    "+twoFactor.pendingSecret"
+  );
+
+  if (user.twoFactor.enabled) {
+    return res.status(400).json({
+      success: false,
+      message: "Two-factor authentication is already enabled",
+    });
+  }
+
+  // The secret only takes effect once a code from it has been verified
+  const secret = generateSecret();
+  user.twoFactor.pendingSecret = secret;
+  await user.save();
+
+  res.status(200).json({
+    success: true,
+    message: "Scan the QR code with an authenticator app, then verify a code",
+    data: {
+      secret,
+      otpauthUri: buildOtpauthUri({
+        secret,
+        accountName: user.email,
+        issuer: process.env.TWO_FACTOR_ISSUER || "Task Manager",
+      }),
+    },
+  });
+});
+
+// @desc    Finish two-factor setup by verifying a code
+// @route   POST /api/auth/2fa/verify
+// @access  Private
+export const verifyTwoFactorSetup = asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: errors.array(),
+    });
+  }
+
+  const user = await User.findById(req.user.id).select(
+    "+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep"
+  );
+
+  if (user.twoFactor.enabled || !user.twoFactor.pendingSecret) {
+    return res.status(400).json({
+      success: false,
+      message: "No two-factor setup in progress",
+    });
+  }
+
+  user.twoFactor.secret = user.twoFactor.pendingSecret;
+  user.twoFactor.lastUsedStep = null;
+  if (!user.verifyTwoFactorCode({ code: req.body.code })) {
+    return res.status(400).json({
+      success: false,
+      message: "Invalid two-factor code",
+    });
+  }
+
+  user.twoFactor.enabled = true;
+  user.twoFactor.enabledAt = new Date();
+  user.twoFactor.pendingSecret = null;
+  const recoveryCodes = user.generateRecoveryCodes();
+  await user.save();
+
+  res.status(200).json({
+    success: true,
+    message:
+      "Two-factor authentication enabled. Store the recovery codes somewhere safe; they are only shown once.",
+    data: { recoveryCodes },
+  });
+});
+
+// @desc    Disable two-factor authentication
+// @route   POST /api/auth/2fa/disable
+// @access  Private
+export const disableTwoFactor = asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: errors.array(),
+    });
+  }
+
+  const user = await User.findById(req.user.id).select("+password");
+
+  if (!(await user.matchPassword(req.body.password))) {
+    return res.status(400).json({
+      success: false,
+      message: "Password is incorrect",
+    });
+  }
+
+  if (!user.twoFactor.enabled) {
+    return res.status(400).json({
+      success: false,
+      message: "Two-factor authentication is not enabled",
+    });
+  }
+
+  if (
+    user.role === "admin" &&
+    (await Setting.getGlobal()).requireAdminTwoFactor
+  ) {
+    return res.status(403).json({
+      success: false,
+      message: "Two-factor authentication is required for admins",
+    });
+  }
+
+  user.twoFactor = {
+    enabled: false,
+    enabledAt: null,
+    secret: null,
+    pendingSecret: null,
+    recoveryCodes: [],
+    lastUsedStep: null,
+  };
+  await user.save();
+
+  res.status(200).json({
+    success: true,
+    message: "Two-factor authentication disabled",
+  });
+});
+
+// @desc    Replace the two-factor recovery codes
+// @route   POST /api/auth/2fa/recovery-codes
+// @access  Private
+export const regenerateRecoveryCodes = asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: errors.array(),
+    });
+  }
+
+  const user = await User.findById(req.user.id).select(
+    "+password +twoFactor.recoveryCodes"
+  );
+
+  if (!(await user.matchPassword(req.body.password))) {
+    return res.status(400).json({
+      success: false,
+      message: "Password is incorrect",
+    });
+  }
+
+  if (!user.twoFactor.enabled) {
+    return res.status(400).json({
+      success: false,
+      message: "Two-factor authentication is not enabled",
+    });
+  }
+
+  const recoveryCodes = user.generateRecoveryCodes();
+  await user.save();
+
+  res.status(200).json({
+    success: true,
+    message: "Recovery codes replaced. The previous codes no longer work.",
+    data: { recoveryCodes },
+  });
+});
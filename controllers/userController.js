@@ -1,7 +1,10 @@
 import { validationResult } from 'express-validator';
 import User from '../models/User.js';
 import Task from '../models/Task.js';
+import TimeEntry from '../models/TimeEntry.js';
+import SecurityEvent from '../models/SecurityEvent.js';
 import { asyncHandler } from '../middleware/errorHandler.js';
+import { clearLoginFailures } from '../utils/loginProtection.js';
 
 // @desc    Get all users
 // @route   GET /api/users
@@ -91,22 +94,21 @@ export const getUser = asyncHandler(async (req, res) => {
       $group: {
         _id: null,
         total: { $sum: 1 },
-        todo: { $sum: { $cond: [{ $eq: ['$status', 'todo'] }, 1, 0] } },
-        inprogress: { $sum: { $cond: [{ $eq: ['$status', 'inprogress'] }, 1, 0] } },
-        done: { $sum: { $cond: [{ $eq: ['$status', 'done'] }, 1, 0] } },
-        totalTimeSpent: { $sum: '$timeSpent' }
+        // completedAt is set whenever a task sits in a done column
+        open: { $sum: { $cond: [{ $eq: ['$completedAt', null] }, 1, 0] } },
+        done: { $sum: { $cond: [{ $ne: ['$completedAt', null] }, 1, 0] } }
       }
     }
   ]);
 
+  // Time the user has logged themselves, on any task
+  const totalTimeSpent = await TimeEntry.totalForUser(user._id);
+
   const userWithStats = {
     ...user.toObject(),
-    taskStats: taskStats[0] || {
-      total: 0,
-      todo: 0,
-      inprogress: 0,
-      done: 0,
-      totalTimeSpent: 0
+    taskStats: {
+      ...(taskStats[0] || { total: 0, open: 0, done: 0 }),
+      totalTimeSpent
     }
   };
 
@@ -200,6 +202,35 @@ export const deleteUser = asyncHandler(async (req, res) => {
   });
 });
 
+// @desc    Unlock a user locked out after failed logins (Admin only)
+// @route   POST /api/users/:id/unlock
+// @access  Private (Admin)
+export const unlockUser = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.params.id);
+
+  if (!user) {
+    return res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+  }
+
+  await clearLoginFailures(user.email);
+  await SecurityEvent.record({
+    type: 'account_unlocked',
+    email: user.email,
+    user: user._id,
+    ip: req.ip,
+    userAgent: req.get('user-agent'),
+    actor: req.user._id
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'User unlocked successfully'
+  });
+});
+
 // @desc    Get user statistics (Admin only)
 // @route   GET /api/users/stats
 // @access  Private (Admin)
@@ -0,0 +1,298 @@
+import { validationResult } from "express-validator";
+import Webhook, { WEBHOOK_EVENTS } from "../models/Webhook.js";
+import WebhookDelivery from "../models/WebhookDelivery.js";
+import { asyncHandler } from "../middleware/errorHandler.js";
+import { sendDelivery } from "../utils/webhooks.js";
+
+// Webhook fields clients may change
+const WEBHOOK_FIELDS = ["url", "events", "description", "isActive"];
+
+// Webhook as sent to clients. The secret is only sent on its own, when it
+// is first set.
+const webhookData = (webhook) => {
+  const data = webhook.toJSON();
+  delete data.secret;
+  return data;
+};
+
+// Messages for the outcome of a manual redelivery, by delivery status
+const REDELIVERY_MESSAGES = {
+  succeeded: "Delivery sent successfully",
+  pending: "Delivery failed and will be retried",
+  failed: "Delivery failed",
+};
+
+// @desc    Get all webhooks
+// @route   GET /api/webhooks
+// @access  Private (Admin)
+export const getWebhooks = asyncHandler(async (req, res) => {
+  const webhooks = await Webhook.find()
+    .populate("createdBy", "name email")
+    .sort({ createdAt: -1 });
+
+  res.status(200).json({
+    success: true,
+    count: webhooks.length,
+    data: webhooks,
+    availableEvents: WEBHOOK_EVENTS,
+  });
+});
+
+// @desc    Get single webhook
+// @route   GET /api/webhooks/:id
+// @access  Private (Admin)
+export const getWebhook = asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: errors.array(),
+    });
+  }
+
+  const webhook = await Webhook.findById(req.params.id).populate(
+    "createdBy",
+    "name email"
+  );
+  if (!webhook) {
+    return res.status(404).json({
+      success: false,
+      message: "Webhook not found",
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: webhook,
+  });
+});
+
+// @desc    Create webhook
+// @route   POST /api/webhooks
+// @access  Private (Admin)
+export const createWebhook = asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: errors.array(),
+    });
+  }
+
+  const { url, events, description, isActive } = req.body;
+  const secret = req.body.secret || Webhook.generateSecret();
+
+  const webhook = await Webhook.create({
+    url,
+    events: [...new Set(events)],
+    secret,
+    description,
+    isActive,
+    createdBy: req.user._id,
+  });
+
+  res.status(201).json({
+    success: true,
+    message:
+      "Webhook created. Copy the secret now; it will not be shown again.",
+    data: webhookData(webhook),
+    secret,
+  });
+});
+
+// @desc    Update webhook
+// @route   PUT /api/webhooks/:id
+// @access  Private (Admin)
+export const updateWebhook = asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: errors.array(),
+    });
+  }
+
+  const webhook = await Webhook.findById(req.params.id);
+  if (!webhook) {
+    return res.status(404).json({
+      success: false,
+      message: "Webhook not found",
+    });
+  }
+
+  WEBHOOK_FIELDS.forEach((field) => {
+    if (req.body[field] !== undefined) webhook[field] = req.body[field];
+  });
+  if (req.body.events) webhook.events = [...new Set(req.body.events)];
+
+  // A new secret is only sent back when it was generated here
+  let secret;
+  if (req.body.rotateSecret) {
+    secret = Webhook.generateSecret();
+    webhook.secret = secret;
+  } else if (req.body.secret) {
+    webhook.secret = req.body.secret;
+  }
+
+  webhook.updatedAt = new Date();
+  await webhook.save();
+
+  res.status(200).json({
+    success: true,
+    message: "Webhook updated successfully",
+    data: webhookData(webhook),
+    secret,
+  });
+});
+
+// @desc    Delete webhook and its delivery log
+// @route   DELETE /api/webhooks/:id
+// @access  Private (Admin)
+export const deleteWebhook = asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: errors.array(),
+    });
+  }
+
+  const webhook = await Webhook.findByIdAndDelete(req.params.id);
+  if (!webhook) {
+    return res.status(404).json({
+      success: false,
+      message: "Webhook not found",
+    });
+  }
+
+  await WebhookDelivery.deleteMany({ webhook: webhook._id });
+
+  res.status(200).json({
+    success: true,
+    message: "Webhook deleted successfully",
+  });
+});
+
+// @desc    Get a webhook's delivery log
+// @route   GET /api/webhooks/:id/deliveries
+// @access  Private (Admin)
+export const getWebhookDeliveries = asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: errors.array(),
+    });
+  }
+
+  const webhook = await Webhook.findById(req.params.id);
+  if (!webhook) {
+    return res.status(404).json({
+      success: false,
+      message: "Webhook not found",
+    });
+  }
+
+  const { status, event, page = 1, limit = 20 } = req.query;
+
+  // Build query
+  const query = { webhook: webhook._id };
+  if (status) query.status = status;
+  if (event) query.event = event;
+
+  // Pagination
+  const pageNum = parseInt(page);
+  const limitNum = parseInt(limit);
+  const skip = (pageNum - 1) * limitNum;
+
+  const deliveries = await WebhookDelivery.find(query)
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(limitNum);
+
+  const total = await WebhookDelivery.countDocuments(query);
+
+  res.status(200).json({
+    success: true,
+    count: deliveries.length,
+    total,
+    pagination: {
+      page: pageNum,
+      limit: limitNum,
+      pages: Math.ceil(total / limitNum),
+    },
+    data: deliveries,
+  });
+});
+
+// @desc    Send a delivery again now
+// @route   POST /api/webhooks/:id/deliveries/:deliveryId/redeliver
+// @access  Private (Admin)
+export const redeliverWebhookDelivery = asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: errors.array(),
+    });
+  }
+
+  const webhook = await Webhook.findById(req.params.id);
+  if (!webhook) {
+    return res.status(404).json({
+      success: false,
+      message: "Webhook not found",
+    });
+  }
+
+  if (!webhook.isActive) {
+    return res.status(400).json({
+      success: false,
+      message: "Webhook is inactive",
+    });
+  }
+
+  const delivery = await WebhookDelivery.findOne({
+    _id: req.params.deliveryId,
+    webhook: webhook._id,
+  });
+  if (!delivery) {
+    return res.status(404).json({
+      success: false,
+      message: "Delivery not found",
+    });
+  }
+
+  // Queued again with fresh attempts, so a failure here is retried as usual
+  const requeued = await delivery.requeue();
+  const claimed = await WebhookDelivery.claimNext({ _id: delivery._id });
+
+  // The delivery job got to it first
+  if (!claimed) {
+    return res.status(202).json({
+      success: true,
+      message: "Delivery queued",
+      data: requeued,
+    });
+  }
+
+  const result = await sendDelivery(claimed);
+
+  res.status(200).json({
+    success: true,
+    message: REDELIVERY_MESSAGES[result.status],
+    data: result,
+  });
+});
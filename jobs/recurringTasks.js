@@ -0,0 +1,68 @@
+import Task from "../models/Task.js";
+import { notifyUsers } from "../utils/notifications.js";
+import { emitTaskEvent, taskPayload } from "../socket/taskEvents.js";
+import { queueWebhookEvent, webhookTaskData } from "../utils/webhooks.js";
+
+// Create the next occurrence of a recurring task and announce it. Returns
+// the new task, or null when none was created.
+export const createNextOccurrence = async (io, task) => {
+  const occurrence = await task.createNextOccurrence();
+  if (!occurrence) return null;
+
+  await notifyUsers(io, [occurrence.assigneeId], {
+    type: "assignment",
+    message: `A new occurrence of "${occurrence.title}" is due ${occurrence.dueDate.toISOString()}`,
+    task: occurrence,
+  });
+
+  await occurrence.populate("assigneeId", "name email role");
+  await occurrence.populate("createdBy", "name email role");
+  await emitTaskEvent(io, occurrence, "taskCreated", (role) =>
+    taskPayload(occurrence, role)
+  );
+  await queueWebhookEvent("task.created", {
+    task: webhookTaskData(occurrence),
+  });
+
+  return occurrence;
+};
+
+// Create the next occurrence of every recurring task that has been
+// completed or has reached its due date. Occurrences completed through the
+// API are followed up straight away; this catches the rest. Archived tasks
+// do not repeat until they are unarchived.
+export const createDueOccurrences = async (io) => {
+  const tasks = await Task.find({
+    isArchived: false,
+    recurrence: { $ne: null },
+    "recurrence.stoppedAt": null,
+    "recurrence.nextOccurrenceId": null,
+    $or: [{ completedAt: { $ne: null } }, { dueDate: { $lte: new Date() } }],
+  });
+
+  let created = 0;
+  for (const task of tasks) {
+    if (await createNextOccurrence(io, task)) created += 1;
+  }
+  return created;
+};
+
+// Start creating due occurrences of recurring tasks on an interval
+export const startRecurringTasksJob = (io) => {
+  const intervalMinutes =
+    parseInt(process.env.RECURRENCE_CHECK_INTERVAL_MINUTES) || 5;
+
+  const run = () =>
+    createDueOccurrences(io)
+      .then((count) => {
+        if (count > 0) console.log(`🔁 Created ${count} recurring tasks`);
+      })
+      .catch((error) => {
+        console.error("Recurring task job failed:", error);
+      });
+
+  run();
+  const timer = setInterval(run, intervalMinutes * 60 * 1000);
+  timer.unref();
+  return timer;
+};
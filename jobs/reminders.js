@@ -0,0 +1,145 @@
+import Task from "../models/Task.js";
+import User from "../models/User.js";
+import Reminder from "../models/Reminder.js";
+import getReminderConfig from "../config/reminders.js";
+import { notifyUsers } from "../utils/notifications.js";
+
+const MINUTE = 60 * 1000;
+
+// Describe a number of minutes in words, e.g. "1 day" or "90 minutes"
+const formatOffset = (minutes) => {
+  const plural = (amount, unit) =>
+    `${amount} ${unit}${amount === 1 ? "" : "s"}`;
+
+  if (minutes % (24 * 60) === 0) return plural(minutes / (24 * 60), "day");
+  if (minutes % 60 === 0) return plural(minutes / 60, "hour");
+  return plural(minutes, "minute");
+};
+
+// The assignee and creator of a task, once each
+const getFollowerIds = (task) => [
+  ...new Set(
+    [task.assigneeId, task.createdBy].filter(Boolean).map((id) => id.toString())
+  ),
+];
+
+// Load the active followers of the given tasks, by id
+const loadFollowers = async (tasks) => {
+  const users = await User.find({
+    _id: { $in: [...new Set(tasks.flatMap(getFollowerIds))] },
+    isActive: true,
+  }).select("reminderOffsets");
+  return new Map(users.map((user) => [user._id.toString(), user]));
+};
+
+// Remind followers of open tasks that are due within one of their reminder
+// offsets. Offsets that were missed (the task was created or moved inside
+// them, or the job was not running) are claimed with the current one, so
+// each follower gets a single reminder for them.
+export const sendDueReminders = async (io, now = new Date()) => {
+  const { defaultOffsets } = getReminderConfig();
+  const userOffsets = await User.distinct("reminderOffsets");
+  const maxOffset = Math.max(0, ...defaultOffsets, ...userOffsets);
+  if (maxOffset === 0) return 0;
+
+  const tasks = await Task.find({
+    completedAt: null,
+    isArchived: false,
+    dueDate: { $gt: now, $lte: new Date(now.getTime() + maxOffset * MINUTE) },
+  }).select("title dueDate assigneeId createdBy");
+  const followers = await loadFollowers(tasks);
+
+  let sent = 0;
+  for (const task of tasks) {
+    const minutesLeft = (task.dueDate - now) / MINUTE;
+
+    for (const followerId of getFollowerIds(task)) {
+      const follower = followers.get(followerId);
+      if (!follower) continue;
+
+      const offsets = (follower.reminderOffsets ?? defaultOffsets).filter(
+        (offset) => offset >= minutesLeft
+      );
+      if (offsets.length === 0) continue;
+
+      const claimed = await Reminder.claim(
+        offsets.map((offsetMinutes) => ({
+          taskId: task._id,
+          user: follower._id,
+          kind: "before_due",
+          offsetMinutes,
+          dueDate: task.dueDate,
+        }))
+      );
+      if (claimed.length === 0) continue;
+
+      const nearest = Math.min(...offsets);
+      await notifyUsers(io, [follower._id], {
+        type: "due_soon",
+        message: `"${task.title}" is due within ${formatOffset(
+          nearest
+        )} (${task.dueDate.toISOString()})`,
+        task,
+      });
+      sent += 1;
+    }
+  }
+  return sent;
+};
+
+// Tell followers when an open task has gone past its due date
+export const sendOverdueNotices = async (io, now = new Date()) => {
+  const { overdueWindowHours } = getReminderConfig();
+
+  const tasks = await Task.find({
+    completedAt: null,
+    isArchived: false,
+    dueDate: {
+      $gt: new Date(now.getTime() - overdueWindowHours * 60 * MINUTE),
+      $lte: now,
+    },
+  }).select("title dueDate assigneeId createdBy");
+  const followers = await loadFollowers(tasks);
+
+  let sent = 0;
+  for (const task of tasks) {
+    for (const followerId of getFollowerIds(task)) {
+      if (!followers.has(followerId)) continue;
+
+      const claimed = await Reminder.claim([
+        {
+          taskId: task._id,
+          user: followerId,
+          kind: "overdue",
+          dueDate: task.dueDate,
+        },
+      ]);
+      if (claimed.length === 0) continue;
+
+      await notifyUsers(io, [followerId], {
+        type: "overdue",
+        message: `"${task.title}" is overdue (was due ${task.dueDate.toISOString()})`,
+        task,
+      });
+      sent += 1;
+    }
+  }
+  return sent;
+};
+
+// Start sending due-date reminders and overdue notices on an interval
+export const startReminderJob = (io) => {
+  const { checkIntervalMinutes } = getReminderConfig();
+
+  const run = () =>
+    sendDueReminders(io)
+      .then(() => sendOverdueNotices(io))
+      .catch((error) => {
+        console.error("Reminder job failed:", error);
+      });
+
+  run();
+  const timer = setInterval(run, checkIntervalMinutes * 60 * 1000);
+  timer.unref();
+  return timer;
+};
@@ -0,0 +1,53 @@
+import Task from "../models/Task.js";
+import TaskHistory from "../models/TaskHistory.js";
+import TimeEntry from "../models/TimeEntry.js";
+import TaskDependency from "../models/TaskDependency.js";
+import getTrashConfig from "../config/trash.js";
+import { removeTaskAttachmentFiles } from "../storage/index.js";
+
+// Permanently delete tasks that have been in the trash longer than the
+// retention window, together with their attachments, time entries, history
+// and dependency links
+export const purgeTrashedTasks = async () => {
+  const { retentionDays } = getTrashConfig();
+  const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000);
+
+  const tasks = await Task.find({ deletedAt: { $lte: cutoff } }).select(
+    "attachments"
+  );
+  if (tasks.length === 0) return 0;
+
+  const taskIds = tasks.map((task) => task._id);
+  const result = await Task.deleteMany({
+    _id: { $in: taskIds },
+    deletedAt: { $lte: cutoff },
+  });
+
+  await TimeEntry.deleteMany({ taskId: { $in: taskIds } });
+  await TaskHistory.deleteMany({ taskId: { $in: taskIds } });
+  await TaskDependency.deleteMany({
+    $or: [{ fromTask: { $in: taskIds } }, { toTask: { $in: taskIds } }],
+  });
+  await removeTaskAttachmentFiles(tasks);
+
+  return result.deletedCount;
+};
+
+// Start purging expired tasks from the trash on an interval
+export const startTrashPurgeJob = () => {
+  const { purgeIntervalMinutes } = getTrashConfig();
+
+  const run = () =>
+    purgeTrashedTasks()
+      .then((count) => {
+        if (count > 0) console.log(`🗑️  Purged ${count} tasks from the trash`);
+      })
+      .catch((error) => {
+        console.error("Trash purge job failed:", error);
+      });
+
+  run();
+  const timer = setInterval(run, purgeIntervalMinutes * 60 * 1000);
+  timer.unref();
+  return timer;
+};
@@ -0,0 +1,23 @@
+import getWebhookConfig from "../config/webhooks.js";
+import { sendDueDeliveries } from "../utils/webhooks.js";
+
+// Start sending queued webhook deliveries on an interval. New events are
+// sent as soon as they are queued; this picks up retries and deliveries
+// left over from a restart.
+export const startWebhookDeliveryJob = () => {
+  const { deliveryIntervalSeconds } = getWebhookConfig();
+
+  const run = () =>
+    sendDueDeliveries()
+      .then((count) => {
+        if (count > 0) console.log(`📡 Delivered ${count} webhook events`);
+      })
+      .catch((error) => {
+        console.error("Webhook delivery job failed:", error);
+      });
+
+  run();
+  const timer = setInterval(run, deliveryIntervalSeconds * 1000);
+  timer.unref();
+  return timer;
+};
@@ -0,0 +1,10 @@
+// Mail transport that prints messages to the console, for local development
+export const createConsoleTransport = () => ({
+  name: "console",
+
+  async send({ from, to, subject, text }) {
+    console.log(
+      `📧 Mail to ${to}\nFrom: ${from}\nSubject: ${subject}\n\n${text}\n`
+    );
+  },
+});
@@ -0,0 +1,30 @@
+import fs from "fs";
+import path from "path";
+import { randomUUID } from "crypto";
+
+// Mail transport that writes each message to a file, for local development
+// and inspecting mail in tests
+export const createFileTransport = ({ dir }) => {
+  const root = path.resolve(dir);
+
+  return {
+    name: "file",
+
+    async send({ from, to, subject, text }) {
+      const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+      const fileName = `${stamp}-${randomUUID()}.eml`;
+      const message = [
+        `From: ${from}`,
+        `To: ${to}`,
+        `Subject: ${subject}`,
+        `Date: ${new Date().toUTCString()}`,
+        "",
+        text,
+        "",
+      ].join("\r\n");
+
+      await fs.promises.mkdir(root, { recursive: true });
+      await fs.promises.writeFile(path.join(root, fileName), message);
+    },
+  };
+};
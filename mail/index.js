@@ -0,0 +1,35 @@
+import getMailConfig from "../config/mail.js";
+import { createConsoleTransport } from "./consoleTransport.js";
+import { createFileTransport } from "./fileTransport.js";
+
+// Available mail transports. A transport provides:
+//   send({ from, to, subject, text }) -> Promise
+const transports = {
+  console: () => createConsoleTransport(),
+  file: (config) => createFileTransport({ dir: config.fileDir }),
+};
+
+let transport = null;
+
+// Register an additional mail transport factory (e.g. SMTP) by name. The
+// factory receives the mail config and returns a transport.
+export const registerMailTransport = (name, factory) => {
+  transports[name] = factory;
+};
+
+// Get the configured mail transport
+export const getMailTransport = () => {
+  if (!transport) {
+    const config = getMailConfig();
+    const factory = transports[config.transport];
+    if (!factory) {
+      throw new Error(`Unknown mail transport: ${config.transport}`);
+    }
+    transport = factory(config);
+  }
+  return transport;
+};
+
+// Send a plain text message from the configured sender
+export const sendMail = ({ to, subject, text }) =>
+  getMailTransport().send({ from: getMailConfig().from, to, subject, text });
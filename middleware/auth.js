@@ -1,7 +1,79 @@
 import jwt from "jsonwebtoken";
 import User from "../models/User.js";
+import Setting from "../models/Setting.js";
+import Board from "../models/Board.js";
+import PersonalAccessToken, {
+  TOKEN_PREFIX,
+} from "../models/PersonalAccessToken.js";
+import { can, authorizeTask } from "../utils/policy.js";
 
-// Protect routes - verify JWT token
+// Routes an admin can still use while two-factor setup is required of them
+const TWO_FACTOR_SETUP_PATHS = [
+  "/api/auth/me",
+  "/api/auth/2fa/setup",
+  "/api/auth/2fa/verify",
+];
+
+// Resource a personal access token scope covers, by API mount path. Tokens
+// are refused everywhere else, including /api/auth, /api/settings and
+// /api/webhooks.
+const SCOPE_RESOURCES = {
+  "/api/tasks": "tasks",
+  "/api/boards": "boards",
+  "/api/users": "users",
+  "/api/notifications": "notifications",
+};
+
+// Scope a personal access token needs for this request, or null when tokens
+// cannot be used here
+export const getRequiredScope = (req) => {
+  const resource = SCOPE_RESOURCES[req.baseUrl];
+  if (!resource) return null;
+
+  const access = ["GET", "HEAD", "OPTIONS"].includes(req.method)
+    ? "read"
+    : "write";
+  return `${resource}:${access}`;
+};
+
+// Check whether the request's credentials allow a scope. Sessions (JWTs)
+// are not scoped; personal access tokens only allow what they were granted.
+export const hasScope = (req, scope) =>
+  !req.accessToken ||
+  (scope !== null && req.accessToken.scopes.includes(scope));
+
+// Send a 403 unless the request's personal access token (if any) carries
+// the scope this route needs
+const checkTokenScope = (req, res) => {
+  const scope = getRequiredScope(req);
+  if (hasScope(req, scope)) return true;
+
+  res.status(403).json({
+    success: false,
+    message: scope
+      ? `Access token is missing the ${scope} scope`
+      : "Access tokens cannot be used for this route",
+  });
+  return false;
+};
+
+// Resolve a personal access token to its user, sending a 401 when it is
+// unknown or expired
+const authenticateAccessToken = async (token, res) => {
+  const accessToken = await PersonalAccessToken.findByToken(token);
+
+  if (!accessToken || accessToken.isExpired) {
+    res.status(401).json({
+      success: false,
+      message: accessToken ? "Access token expired" : "Invalid access token",
+    });
+    return null;
+  }
+
+  return accessToken;
+};
+
+// Protect routes - verify JWT token or personal access token
 export const protect = async (req, res, next) => {
   try {
     let token;
@@ -23,9 +95,17 @@ export const protect = async (req, res, next) => {
     }
 
     try {
-      // Verify token
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      let decoded;
+      let accessToken = null;
 
+      if (token.startsWith(TOKEN_PREFIX)) {
+        accessToken = await authenticateAccessToken(token, res);
+        if (!accessToken) return;
+        decoded = { userId: accessToken.user };
+      } else {
+        // Verify token
+        decoded = verifyAccessToken(token);
+      }
 
       // Get user from token
       const user = await User.findById(decoded.userId).select("-password");
@@ -44,12 +124,47 @@ export const protect = async (req, res, next) => {
         });
       }
 
+      // Personal access tokens outlive password changes until revoked
+      if (!accessToken && user.changedPasswordAfter(decoded.iat)) {
+        return res.status(401).json({
+          success: false,
+          message: "Password was changed. Please log in again.",
+        });
+      }
+
+      // Admins without two-factor authentication can only set it up when
+      // the requireAdminTwoFactor setting is on
+      if (
+        user.role === "admin" &&
+        !user.twoFactor.enabled &&
+        !TWO_FACTOR_SETUP_PATHS.includes(req.originalUrl.split("?")[0]) &&
+        (await Setting.getGlobal()).requireAdminTwoFactor
+      ) {
+        return res.status(403).json({
+          success: false,
+          message:
+            "Two-factor authentication is required for admins. Set it up at /api/auth/2fa/setup.",
+          twoFactorSetupRequired: true,
+        });
+      }
+
       req.user = user;
+      req.accessToken = accessToken;
+
+      if (accessToken) {
+        if (!checkTokenScope(req, res)) return;
+        await accessToken.touch();
+      }
+
       next();
     } catch (error) {
+      // Expired tokens get their own message so clients know to refresh
       return res.status(401).json({
         success: false,
-        message: "Not authorized to access this route",
+        message:
+          error.name === "TokenExpiredError"
+            ? "Token expired"
+            : "Not authorized to access this route",
       });
     }
   } catch (error) {
@@ -57,70 +172,126 @@ export const protect = async (req, res, next) => {
   }
 };
 
-// Grant access to specific roles
-export const authorize = (...roles) => {
+// Allow the request when the user's role may perform an action (see
+// utils/policy.js). Requests made with a personal access token also need
+// the route's scope, so a token never grants more than both its scopes and
+// its owner's role allow.
+export const checkPermission = (action) => {
   return (req, res, next) => {
-    if (!roles.includes(req.user.role)) {
+    if (!can(req.user, action)) {
       return res.status(403).json({
         success: false,
         message: `User role ${req.user.role} is not authorized to access this route`,
       });
     }
+    if (!checkTokenScope(req, res)) return;
     next();
   };
 };
 
-// Check if user can access specific task
-export const checkTaskAccess = async (req, res, next) => {
-  try {
-    const { user } = req;
-    const taskId = req.params.id || req.body.taskId;
+// Allow the request when the user may perform an action on the task in the
+// route (or `taskId` in the body). The task's board is kept on `req.board`.
+export const checkTaskAccess = (action = "task:read") => {
+  return async (req, res, next) => {
+    try {
+      const taskId = req.params.id || req.body.taskId;
+      const { task, board, allowed } = await authorizeTask(
+        req.user,
+        action,
+        taskId
+      );
 
-    // Admin can access all tasks
-    if (user.role === "admin") {
-      return next();
-    }
+      if (!task) {
+        return res.status(404).json({
+          success: false,
+          message: "Task not found",
+        });
+      }
 
-    // For other roles, check if they are assigned to the task
-    const Task = (await import("../models/Task.js")).default;
-    const task = await Task.findById(taskId);
+      if (!allowed) {
+        return res.status(403).json({
+          success: false,
+          message: can(req.user, "task:read", task, { board })
+            ? "Not authorized to perform this action on the task"
+            : "Not authorized to access this task",
+        });
+      }
 
-    if (!task) {
-      return res.status(404).json({
-        success: false,
-        message: "Task not found",
-      });
+      req.board = board;
+      next();
+    } catch (error) {
+      next(error);
     }
+  };
+};
 
-    // Vendor can access tasks they created or are assigned to
-    if (user.role === "vendor") {
-      if (
-        task.createdBy.toString() === user._id.toString() ||
-        task.assigneeId.toString() === user._id.toString()
-      ) {
-        return next();
+// Allow the request when the user may perform an action on the board in the
+// route (or `boardId` in the body). The board is kept on `req.board`.
+export const checkBoardAccess = (action = "board:read") => {
+  return async (req, res, next) => {
+    try {
+      const boardId = req.params.boardId || req.params.id || req.body.boardId;
+      const board = await Board.findById(boardId);
+
+      if (!board) {
+        return res.status(404).json({
+          success: false,
+          message: "Board not found",
+        });
       }
-    }
 
-    // Customer can only access tasks assigned to them
-    if (user.role === "customer") {
-      if (task.assigneeId.toString() === user._id.toString()) {
-        return next();
+      if (!can(req.user, action, board)) {
+        return res.status(403).json({
+          success: false,
+          message: can(req.user, "board:read", board)
+            ? "Not authorized to perform this action on the board"
+            : "Not authorized to access this board",
+        });
       }
+
+      req.board = board;
+      next();
+    } catch (error) {
+      next(error);
     }
+  };
+};
 
-    return res.status(403).json({
-      success: false,
-      message: "Not authorized to access this task",
-    });
-  } catch (error) {
-    next(error);
+// Generate a short-lived JWT access token
+export const generateToken = (id) => {
+  return jwt.sign({ userId: id }, process.env.JWT_SECRET, {
+    expiresIn: process.env.JWT_EXPIRE || "15m",
+  });
+};
+
+// Verify an access token and return its payload. Throws the jsonwebtoken
+// error when the token is invalid or expired, or is a challenge token.
+// Tokens without an expiry, as logins issued before access tokens became
+// short-lived, are rejected.
+export const verifyAccessToken = (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  if (decoded.purpose) {
+    throw new jwt.JsonWebTokenError("Not an access token");
+  }
+  if (typeof decoded.exp !== "number") {
+    throw new jwt.JsonWebTokenError("Access token has no expiry");
   }
+  return decoded;
 };
 
-// Generate JWT token
-export const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE || "7d",
+// Generate the short-lived token that stands in for a login until the
+// user's two-factor code has been checked
+export const generateTwoFactorChallenge = (id) => {
+  return jwt.sign({ userId: id, purpose: "2fa" }, process.env.JWT_SECRET, {
+    expiresIn: process.env.TWO_FACTOR_CHALLENGE_EXPIRE || "5m",
   });
 };
+
+// Verify a two-factor challenge token and return its payload
+export const verifyTwoFactorChallenge = (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  if (decoded.purpose !== "2fa") {
+    throw new jwt.JsonWebTokenError("Not a two-factor challenge token");
+  }
+  return decoded;
+};
@@ -24,6 +24,12 @@ export const errorHandler = (err, req, res, next) => {
     error = { message, statusCode: 400 };
   }
 
+  // Document changed by someone else between loading and saving it
+  if (err.name === 'DocumentNotFoundError') {
+    const message = 'The resource was changed by someone else. Reload it and try again.';
+    error = { message, statusCode: 409 };
+  }
+
   // JWT errors
   if (err.name === 'JsonWebTokenError') {
     const message = 'Invalid token';
@@ -35,6 +41,12 @@ export const errorHandler = (err, req, res, next) => {
     error = { message, statusCode: 401 };
   }
 
+  // Multer upload errors
+  if (err.name === 'MulterError') {
+    const message = err.code === 'LIMIT_FILE_SIZE' ? 'File too large' : err.message;
+    error = { message, statusCode: err.code === 'LIMIT_FILE_SIZE' ? 413 : 400 };
+  }
+
   res.status(error.statusCode || 500).json({
     success: false,
     message: error.message || 'Server Error',
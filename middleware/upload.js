@@ -0,0 +1,23 @@
+import multer from "multer";
+import getStorageConfig from "../config/storage.js";
+
+// Parse a single multipart "file" field into memory, enforcing the per-file
+// size limit and the MIME type allowlist
+export const parseAttachmentUpload = (req, res, next) => {
+  const config = getStorageConfig();
+
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: config.maxFileSize, files: 1 },
+    fileFilter: (req, file, cb) => {
+      if (!config.allowedTypes.includes(file.mimetype)) {
+        const error = new Error(`File type ${file.mimetype} is not allowed`);
+        error.statusCode = 415;
+        return cb(error);
+      }
+      cb(null, true);
+    },
+  }).single("file");
+
+  upload(req, res, next);
+};
@@ -0,0 +1,187 @@
+import mongoose from "mongoose";
+
+const memberSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    role: {
+      type: String,
+      enum: ["owner", "editor", "viewer"],
+      default: "editor",
+    },
+    addedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+const columnSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    name: {
+      type: String,
+      required: [true, "Column name is required"],
+      trim: true,
+      maxlength: [50, "Column name cannot be more than 50 characters"],
+    },
+    isDone: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  { _id: false }
+);
+
+// Columns every new board starts with
+export const DEFAULT_COLUMNS = [
+  { key: "todo", name: "To Do", isDone: false },
+  { key: "inprogress", name: "In Progress", isDone: false },
+  { key: "done", name: "Done", isDone: true },
+];
+
+const boardSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Board name is required"],
+      trim: true,
+      maxlength: [100, "Name cannot be more than 100 characters"],
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [1000, "Description cannot be more than 1000 characters"],
+    },
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    members: [memberSchema],
+    // Workflow columns in display order; a task's status is a column key
+    columns: {
+      type: [columnSchema],
+      default: () => DEFAULT_COLUMNS.map((column) => ({ ...column })),
+      validate: [
+        {
+          validator: (columns) => columns.length > 0,
+          message: "A board must have at least one column",
+        },
+        {
+          validator: (columns) =>
+            new Set(columns.map((column) => column.key)).size ===
+            columns.length,
+          message: "Column keys must be unique",
+        },
+      ],
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+    updatedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Indexes for better query performance
+boardSchema.index({ owner: 1 });
+boardSchema.index({ "members.user": 1 });
+
+// Make sure the owner is always listed as a member with the owner role
+boardSchema.pre("save", function (next) {
+  this.updatedAt = Date.now();
+
+  const ownerId = this.owner.toString();
+  const ownerMember = this.members.find(
+    (member) => member.user.toString() === ownerId
+  );
+
+  if (!ownerMember) {
+    this.members.push({ user: this.owner, role: "owner" });
+  } else {
+    ownerMember.role = "owner";
+  }
+
+  next();
+});
+
+// Instance method to get a user's role on this board
+boardSchema.methods.getMemberRole = function (userId) {
+  const id = (userId._id || userId).toString();
+  const member = this.members.find(
+    (member) => (member.user._id || member.user).toString() === id
+  );
+  return member ? member.role : null;
+};
+
+// Instance method to check whether a user belongs to this board
+boardSchema.methods.isMember = function (userId) {
+  return this.getMemberRole(userId) !== null;
+};
+
+// Instance method to check whether a user may add or move tasks onto this board
+boardSchema.methods.canEditTasks = function (user) {
+  if (user.role === "admin") return true;
+  const memberRole = this.getMemberRole(user._id);
+  return memberRole === "owner" || memberRole === "editor";
+};
+
+// Instance method to get a workflow column by key
+boardSchema.methods.getColumn = function (key) {
+  return this.columns.find((column) => column.key === key) || null;
+};
+
+// Instance method to get the keys of all columns that count as done
+boardSchema.methods.getDoneStatuses = function () {
+  return this.columns
+    .filter((column) => column.isDone)
+    .map((column) => column.key);
+};
+
+// Instance method to generate a unique column key from a column name
+boardSchema.methods.generateColumnKey = function (name) {
+  const base =
+    name
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-+|-+$/g, "") || "column";
+
+  let key = base;
+  let suffix = 2;
+  while (this.getColumn(key)) {
+    key = `${base}-${suffix}`;
+    suffix += 1;
+  }
+  return key;
+};
+
+// Static method to get the ids of all boards a user is a member of,
+// optionally only those where they have one of the given roles
+boardSchema.statics.findIdsForMember = async function (userId, roles) {
+  const filter = roles
+    ? { members: { $elemMatch: { user: userId, role: { $in: roles } } } }
+    : { "members.user": userId };
+  const boards = await this.find(filter).select("_id");
+  return boards.map((board) => board._id);
+};
+
+const Board = mongoose.model("Board", boardSchema);
+
+export default Board;
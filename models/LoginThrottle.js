@@ -0,0 +1,34 @@
+import mongoose from "mongoose";
+
+// Failed login attempts for one email address or IP address
+const loginThrottleSchema = new mongoose.Schema({
+  // "email:<address>" or "ip:<address>"
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  failures: {
+    type: Number,
+    default: 0,
+  },
+  lastFailureAt: {
+    type: Date,
+    default: null,
+  },
+  lockedUntil: {
+    type: Date,
+    default: null,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+});
+
+// Forgotten attempts are removed by MongoDB
+loginThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const LoginThrottle = mongoose.model("LoginThrottle", loginThrottleSchema);
+
+export default LoginThrottle;
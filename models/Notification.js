@@ -0,0 +1,78 @@
+import mongoose from "mongoose";
+
+const notificationSchema = new mongoose.Schema(
+  {
+    recipient: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: [
+        "assignment",
+        "comment",
+        "mention",
+        "due_soon",
+        "status_change",
+        "unblocked",
+        "overdue",
+      ],
+      required: true,
+    },
+    message: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    taskId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Task",
+      default: null,
+    },
+    commentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+    // User whose action caused the notification, null for system notifications
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    actorName: {
+      type: String,
+      default: null,
+    },
+    readAt: {
+      type: Date,
+      default: null,
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Indexes for better query performance
+notificationSchema.index({ recipient: 1, createdAt: -1 });
+notificationSchema.index({ recipient: 1, readAt: 1 });
+
+// Virtual for checking if notification has been read
+notificationSchema.virtual("isRead").get(function () {
+  return this.readAt !== null;
+});
+
+// Static method to count a user's unread notifications
+notificationSchema.statics.countUnread = function (recipient) {
+  return this.countDocuments({ recipient, readAt: null });
+};
+
+const Notification = mongoose.model("Notification", notificationSchema);
+
+export default Notification;
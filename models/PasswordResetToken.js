@@ -0,0 +1,74 @@
+import crypto from "crypto";
+import mongoose from "mongoose";
+
+const passwordResetTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  // SHA-256 of the token; the token itself is only ever mailed to the user
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  usedAt: {
+    type: Date,
+    default: null,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Indexes for better query performance
+passwordResetTokenSchema.index({ user: 1 });
+// Expired tokens are removed by MongoDB
+passwordResetTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+// Static method to issue a reset token for a user, replacing any token they
+// were sent before. Returns the plain token and how many minutes it is
+// valid for.
+passwordResetTokenSchema.statics.issue = async function (user) {
+  const token = crypto.randomBytes(32).toString("base64url");
+  const minutes = parseInt(process.env.PASSWORD_RESET_EXPIRE_MINUTES) || 60;
+
+  await this.deleteMany({ user: user._id, usedAt: null });
+  await this.create({
+    user: user._id,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + minutes * 60 * 1000),
+  });
+
+  return { token, minutes };
+};
+
+// Static method to use up a valid token. Returns the token document, or
+// null when the token is unknown, expired or already used.
+passwordResetTokenSchema.statics.consume = function (token) {
+  return this.findOneAndUpdate(
+    {
+      tokenHash: hashToken(token),
+      usedAt: null,
+      expiresAt: { $gt: new Date() },
+    },
+    { usedAt: new Date() },
+    { new: true }
+  );
+};
+
+const PasswordResetToken = mongoose.model(
+  "PasswordResetToken",
+  passwordResetTokenSchema
+);
+
+export default PasswordResetToken;
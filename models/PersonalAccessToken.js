@@ -0,0 +1,123 @@
+import crypto from "crypto";
+import mongoose from "mongoose";
+
+// Prefix that tells personal access tokens apart from JWTs
+export const TOKEN_PREFIX = "tmpat_";
+
+// Scopes a token can be granted, as <resource>:<read|write>
+export const TOKEN_SCOPES = [
+  "tasks:read",
+  "tasks:write",
+  "boards:read",
+  "boards:write",
+  "users:read",
+  "users:write",
+  "notifications:read",
+  "notifications:write",
+];
+
+const personalAccessTokenSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    name: {
+      type: String,
+      required: [true, "Token name is required"],
+      trim: true,
+      maxlength: [100, "Token name cannot be more than 100 characters"],
+    },
+    // SHA-256 of the token; the token itself is only shown once
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+      select: false,
+    },
+    // Start of the token, so users can recognise it in listings
+    tokenPrefix: {
+      type: String,
+      required: true,
+    },
+    scopes: {
+      type: [{ type: String, enum: TOKEN_SCOPES }],
+      validate: {
+        validator: (scopes) => scopes.length > 0,
+        message: "At least one scope is required",
+      },
+    },
+    // Null for tokens that never expire
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
+    lastUsedAt: {
+      type: Date,
+      default: null,
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Indexes for better query performance
+personalAccessTokenSchema.index({ user: 1, createdAt: -1 });
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+// Virtual for checking if the token has expired
+personalAccessTokenSchema.virtual("isExpired").get(function () {
+  return this.expiresAt !== null && this.expiresAt <= new Date();
+});
+
+// Static method to create a token for a user. Returns the plain token and
+// the stored document.
+personalAccessTokenSchema.statics.issue = async function ({
+  user,
+  name,
+  scopes,
+  expiresAt = null,
+}) {
+  const token = `${TOKEN_PREFIX}${crypto.randomBytes(32).toString("base64url")}`;
+
+  const doc = await this.create({
+    user: user._id,
+    name,
+    tokenHash: hashToken(token),
+    tokenPrefix: token.slice(0, TOKEN_PREFIX.length + 6),
+    scopes: [...new Set(scopes)],
+    expiresAt,
+  });
+
+  return { token, doc };
+};
+
+// Static method to find the stored document for a plain token
+personalAccessTokenSchema.statics.findByToken = function (token) {
+  return this.findOne({ tokenHash: hashToken(token) });
+};
+
+// Instance method to record that the token was used, at most once a minute
+personalAccessTokenSchema.methods.touch = async function () {
+  const now = new Date();
+  if (!this.lastUsedAt || now - this.lastUsedAt > 60 * 1000) {
+    this.lastUsedAt = now;
+    await this.constructor.updateOne({ _id: this._id }, { lastUsedAt: now });
+  }
+};
+
+const PersonalAccessToken = mongoose.model(
+  "PersonalAccessToken",
+  personalAccessTokenSchema
+);
+
+export default PersonalAccessToken;
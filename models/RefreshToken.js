@@ -0,0 +1,102 @@
+import crypto from "crypto";
+import mongoose from "mongoose";
+
+const refreshTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  // SHA-256 of the token; the token itself is only ever sent to the client
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  // Every token rotated from the same login shares a family
+  family: {
+    type: String,
+    required: true,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  revokedAt: {
+    type: Date,
+    default: null,
+  },
+  // Set when the token was rotated, to the token that replaced it
+  replacedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "RefreshToken",
+    default: null,
+  },
+  userAgent: {
+    type: String,
+    default: null,
+  },
+  ip: {
+    type: String,
+    default: null,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Indexes for better query performance
+refreshTokenSchema.index({ user: 1 });
+refreshTokenSchema.index({ family: 1 });
+// Expired tokens are removed by MongoDB
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+// Static method to issue a new refresh token, starting a new family unless
+// one is given. Returns the plain token and the stored document.
+refreshTokenSchema.statics.issue = async function (
+  user,
+  { family = crypto.randomUUID(), userAgent = null, ip = null } = {}
+) {
+  const token = crypto.randomBytes(48).toString("base64url");
+  const days = parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS) || 30;
+
+  const doc = await this.create({
+    user: user._id,
+    tokenHash: hashToken(token),
+    family,
+    expiresAt: new Date(Date.now() + days * 24 * 60 * 60 * 1000),
+    userAgent,
+    ip,
+  });
+
+  return { token, doc };
+};
+
+// Static method to find the stored document for a plain token
+refreshTokenSchema.statics.findByToken = function (token) {
+  return this.findOne({ tokenHash: hashToken(token) });
+};
+
+// Static method to revoke every token in a family
+refreshTokenSchema.statics.revokeFamily = function (family) {
+  return this.updateMany(
+    { family, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+};
+
+// Static method to revoke every token a user holds
+refreshTokenSchema.statics.revokeAllForUser = function (userId) {
+  return this.updateMany(
+    { user: userId, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+};
+
+const RefreshToken = mongoose.model("RefreshToken", refreshTokenSchema);
+
+export default RefreshToken;
@@ -0,0 +1,64 @@
+import mongoose from "mongoose";
+
+// How long delivery records are kept after the due date they were for
+const RETENTION_SECONDS = 60 * 24 * 60 * 60;
+
+// Record of a due-date reminder or overdue notice sent to a user. The
+// unique index makes each one a claim: whoever inserts the record sends the
+// notification, so it goes out once across restarts and server instances.
+const reminderSchema = new mongoose.Schema({
+  taskId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Task",
+    required: true,
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  kind: {
+    type: String,
+    enum: ["before_due", "overdue"],
+    required: true,
+  },
+  // Minutes before the due date; 0 for overdue notices
+  offsetMinutes: {
+    type: Number,
+    default: 0,
+  },
+  // Due date the reminder was for, so a new due date gets new reminders
+  dueDate: {
+    type: Date,
+    required: true,
+  },
+  sentAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+reminderSchema.index(
+  { taskId: 1, user: 1, kind: 1, offsetMinutes: 1, dueDate: 1 },
+  { unique: true }
+);
+reminderSchema.index({ dueDate: 1 }, { expireAfterSeconds: RETENTION_SECONDS });
+
+// Static method to claim reminders for delivery. Returns the ones that had
+// not been claimed before.
+reminderSchema.statics.claim = async function (reminders) {
+  const claimed = [];
+  for (const reminder of reminders) {
+    try {
+      claimed.push(await this.create(reminder));
+    } catch (error) {
+      // Already sent, by this or another instance
+      if (error.code !== 11000) throw error;
+    }
+  }
+  return claimed;
+};
+
+const Reminder = mongoose.model("Reminder", reminderSchema);
+
+export default Reminder;
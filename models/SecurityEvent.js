@@ -0,0 +1,60 @@
+import mongoose from "mongoose";
+
+const securityEventSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ["account_locked", "ip_locked", "account_unlocked"],
+    required: true,
+  },
+  email: {
+    type: String,
+    default: null,
+  },
+  // Set when the email belongs to a registered user
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    default: null,
+  },
+  ip: {
+    type: String,
+    default: null,
+  },
+  userAgent: {
+    type: String,
+    default: null,
+  },
+  // Admin who performed the action, for manual events such as unlocks
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    default: null,
+  },
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Indexes for better query performance
+securityEventSchema.index({ createdAt: -1 });
+securityEventSchema.index({ user: 1, createdAt: -1 });
+securityEventSchema.index({ type: 1, createdAt: -1 });
+
+// Static method to record an event, also writing it to the server log
+securityEventSchema.statics.record = function (event) {
+  console.warn(
+    `🔒 Security event ${event.type}: ${event.email || "-"} from ${
+      event.ip || "-"
+    }`
+  );
+  return this.create(event);
+};
+
+const SecurityEvent = mongoose.model("SecurityEvent", securityEventSchema);
+
+export default SecurityEvent;
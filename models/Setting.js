@@ -0,0 +1,42 @@
+import mongoose from "mongoose";
+
+// Application-wide settings, stored as a single document
+const settingSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    default: "global",
+    unique: true,
+  },
+  // Admins must set up two-factor authentication before using the API
+  requireAdminTwoFactor: {
+    type: Boolean,
+    default: false,
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    default: null,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Static method to get the settings, with defaults when none are stored yet
+settingSchema.statics.getGlobal = async function () {
+  return (await this.findOne({ key: "global" })) || new this();
+};
+
+// Static method to update the settings
+settingSchema.statics.updateGlobal = function (updates, user) {
+  return this.findOneAndUpdate(
+    { key: "global" },
+    { ...updates, updatedBy: user._id, updatedAt: new Date() },
+    { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+  );
+};
+
+const Setting = mongoose.model("Setting", settingSchema);
+
+export default Setting;
@@ -1,4 +1,90 @@
 import mongoose from "mongoose";
+import { generateKeyBetween, generateNKeysBetween } from "fractional-indexing";
+import Board from "./Board.js";
+import TaskDependency from "./TaskDependency.js";
+import {
+  FREQUENCIES,
+  WEEKDAYS,
+  getNextOccurrence,
+  toRRule,
+} from "../utils/recurrence.js";
+
+// Task fields clients may set when creating or updating a task. Everything
+// else changes through its own endpoint (move, archive, trash, comments,
+// attachments, subtasks, time tracking) or is derived by the server.
+export const TASK_FIELDS = [
+  "title",
+  "description",
+  "priority",
+  "status",
+  "boardId",
+  "assigneeId",
+  "dueDate",
+  "tags",
+  "recurrence",
+];
+
+// Give a schema a version number that goes up with every saved edit, and
+// remember the version at which each field last changed, so concurrent
+// edits to different fields can be merged. Paths in `unversioned` (derived
+// or bookkeeping fields) do not count as edits.
+const addFieldVersions = (schema, unversioned) => {
+  const ignored = ["_id", "__v", "version", "fieldVersions", ...unversioned];
+
+  schema.add({
+    version: {
+      type: Number,
+      default: 0,
+    },
+    fieldVersions: {
+      type: Map,
+      of: Number,
+      default: () => new Map(),
+    },
+  });
+
+  schema.pre("save", function (next) {
+    if (this.isNew) return next();
+
+    const fields = this.modifiedPaths().filter(
+      (path) => !path.includes(".") && !ignored.includes(path)
+    );
+    if (fields.length > 0) {
+      // Start from the stored version even when a failed save is retried
+      const baseVersion = this.$locals.baseVersion ?? this.version;
+      this.$locals.baseVersion = baseVersion;
+      this.version = baseVersion + 1;
+      fields.forEach((field) => this.fieldVersions.set(field, this.version));
+
+      // Only save over the version the changes were checked against, so a
+      // concurrent save in between fails instead of being overwritten.
+      // Documents saved before versioning have no stored version.
+      if (!this.$isSubdocument) {
+        this.$where = {
+          ...this.$where,
+          version: baseVersion > 0 ? baseVersion : { $in: [0, null] },
+        };
+      }
+    }
+    next();
+  });
+
+  schema.post("save", function () {
+    delete this.$locals.baseVersion;
+    if (!this.$isSubdocument && this.$where) delete this.$where.version;
+  });
+
+  // Instance method to list the given fields that have unsaved changes but
+  // were also changed by someone else after `baseVersion`
+  schema.methods.getConflicts = function (baseVersion, fields) {
+    return fields.filter(
+      (field) =>
+        !ignored.includes(field) &&
+        (this.fieldVersions.get(field) || 0) > baseVersion &&
+        this.isModified(field)
+    );
+  };
+};
 
 const subtaskSchema = new mongoose.Schema({
   text: {
@@ -10,12 +96,55 @@ const subtaskSchema = new mongoose.Schema({
     type: Boolean,
     default: false,
   },
+  assignee: {
+    type: String,
+    default: null,
+  },
+  assigneeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    default: null,
+  },
+  dueDate: {
+    type: Date,
+    default: null,
+  },
+  completedAt: {
+    type: Date,
+    default: null,
+  },
   createdAt: {
     type: Date,
     default: Date.now,
   },
 });
 
+addFieldVersions(subtaskSchema, ["assignee", "completedAt", "createdAt"]);
+
+// Keep completedAt in step with the completed flag
+subtaskSchema.pre("validate", function (next) {
+  if (this.completed && !this.completedAt) {
+    this.completedAt = new Date();
+  } else if (!this.completed && this.completedAt) {
+    this.completedAt = null;
+  }
+  next();
+});
+
+const mentionSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    name: String,
+    // Text that followed the @ in the comment or description
+    token: String,
+  },
+  { _id: false }
+);
+
 const commentSchema = new mongoose.Schema({
   text: {
     type: String,
@@ -36,12 +165,115 @@ const commentSchema = new mongoose.Schema({
     enum: ["admin", "vendor", "customer"],
     required: true,
   },
+  mentions: [mentionSchema],
+  // Comment this one replies to, null for top-level comments
+  parentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null,
+  },
+  // Previous versions of the text, oldest first
+  edits: [
+    {
+      _id: false,
+      text: String,
+      editedAt: Date,
+    },
+  ],
+  editedAt: {
+    type: Date,
+    default: null,
+  },
+  // Deleted comments that still have replies keep their place in the thread
+  isDeleted: {
+    type: Boolean,
+    default: false,
+  },
+  reactions: [
+    {
+      _id: false,
+      emoji: {
+        type: String,
+        required: true,
+      },
+      userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true,
+      },
+    },
+  ],
   createdAt: {
     type: Date,
     default: Date.now,
   },
 });
 
+// Rule for a repeating task (see utils/recurrence.js). Each occurrence is
+// its own task carrying the rule; the next one is created from the latest.
+const recurrenceSchema = new mongoose.Schema(
+  {
+    frequency: {
+      type: String,
+      enum: FREQUENCIES,
+      required: true,
+    },
+    interval: {
+      type: Number,
+      default: 1,
+      min: 1,
+    },
+    // Weekly rules only
+    weekdays: [
+      {
+        type: String,
+        enum: WEEKDAYS,
+      },
+    ],
+    // Monthly rules only
+    monthDay: {
+      type: Number,
+      min: 1,
+      max: 31,
+      default: null,
+    },
+    until: {
+      type: Date,
+      default: null,
+    },
+    // First task of the series, shared by all its occurrences
+    seriesId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Task",
+    },
+    // Upcoming occurrences to leave out
+    skipCount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    // Set once the next occurrence has been created from this task
+    nextOccurrenceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Task",
+      default: null,
+    },
+    stoppedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    _id: false,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Virtual for the rule as an RRULE string
+recurrenceSchema.virtual("rrule").get(function () {
+  return toRRule(this);
+});
+
 const taskSchema = new mongoose.Schema(
   {
     title: {
@@ -55,15 +287,28 @@ const taskSchema = new mongoose.Schema(
       trim: true,
       maxlength: [1000, "Description cannot be more than 1000 characters"],
     },
+    // Users @mentioned in the description
+    mentions: [mentionSchema],
+    boardId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Board",
+      required: [true, "Board ID is required"],
+    },
     priority: {
       type: String,
       enum: ["low", "medium", "high"],
       default: "medium",
     },
+    // Key of one of the board's workflow columns
     status: {
       type: String,
-      enum: ["todo", "inprogress", "done"],
-      default: "todo",
+      required: [true, "Status is required"],
+      trim: true,
+    },
+    // Fractional index ordering the task within its column
+    rank: {
+      type: String,
+      default: undefined,
     },
     assignee: {
       type: String,
@@ -91,6 +336,16 @@ const taskSchema = new mongoose.Schema(
       },
     ],
     subtasks: [subtaskSchema],
+    // Set when the task was promoted from a subtask of another task
+    parentTaskId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Task",
+      default: null,
+    },
+    recurrence: {
+      type: recurrenceSchema,
+      default: null,
+    },
     timeSpent: {
       type: Number,
       default: 0, // in seconds
@@ -99,11 +354,15 @@ const taskSchema = new mongoose.Schema(
     comments: [commentSchema],
     attachments: [
       {
-        filename: String,
+        filename: String, // storage key
         originalName: String,
         mimetype: String,
         size: Number,
         url: String,
+        uploadedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
         uploadedAt: {
           type: Date,
           default: Date.now,
@@ -114,6 +373,25 @@ const taskSchema = new mongoose.Schema(
       type: Boolean,
       default: false,
     },
+    archivedAt: {
+      type: Date,
+      default: null,
+    },
+    archivedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    // Set while the task is in the trash
+    deletedAt: {
+      type: Date,
+      default: null,
+    },
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
     completedAt: {
       type: Date,
       default: null,
@@ -134,7 +412,25 @@ const taskSchema = new mongoose.Schema(
   }
 );
 
+addFieldVersions(taskSchema, [
+  "assignee",
+  "mentions",
+  "rank",
+  "timeSpent",
+  "comments",
+  "attachments",
+  "isArchived",
+  "archivedAt",
+  "archivedBy",
+  "deletedAt",
+  "deletedBy",
+  "completedAt",
+  "createdAt",
+  "updatedAt",
+]);
+
 // Indexes for better query performance
+taskSchema.index({ boardId: 1 });
 taskSchema.index({ assigneeId: 1 });
 taskSchema.index({ status: 1 });
 taskSchema.index({ priority: 1 });
@@ -142,14 +438,22 @@ taskSchema.index({ dueDate: 1 });
 taskSchema.index({ createdBy: 1 });
 taskSchema.index({ tags: 1 });
 taskSchema.index({ createdAt: -1 });
+taskSchema.index({ parentTaskId: 1 });
+taskSchema.index({ "subtasks.assigneeId": 1 });
+taskSchema.index({ deletedAt: 1 });
 
 // Compound indexes
 taskSchema.index({ assigneeId: 1, status: 1 });
 taskSchema.index({ status: 1, priority: 1 });
+taskSchema.index({ boardId: 1, status: 1 });
+taskSchema.index(
+  { boardId: 1, status: 1, rank: 1 },
+  { unique: true, partialFilterExpression: { rank: { $type: "string" } } }
+);
 
-// Virtual for checking if task is overdue
+// Virtual for checking if task is overdue (completedAt is only set in done columns)
 taskSchema.virtual("isOverdue").get(function () {
-  return this.status !== "done" && new Date() > this.dueDate;
+  return !this.completedAt && new Date() > this.dueDate;
 });
 
 // Virtual for subtask completion percentage
@@ -175,24 +479,114 @@ taskSchema.virtual("formattedTimeSpent").get(function () {
   return `${minutes}m`;
 });
 
-// Pre-save middleware to update timestamps
-taskSchema.pre("save", function (next) {
-  this.updatedAt = Date.now();
+// A recurring task starts a new series unless it already belongs to one
+taskSchema.pre("validate", function (next) {
+  if (this.recurrence && !this.recurrence.seriesId) {
+    this.recurrence.seriesId = this._id;
+  }
+  next();
+});
 
-  // Set completedAt when status changes to 'done'
+// Pre-validate middleware to check status against the board's workflow columns
+taskSchema.pre("validate", async function () {
   if (
-    this.isModified("status") &&
-    this.status === "done" &&
-    !this.completedAt
+    !this.isNew &&
+    !this.isModified("status") &&
+    !this.isModified("boardId")
   ) {
+    return;
+  }
+
+  const board = await Board.findById(this.boardId).select("columns");
+  if (!board) {
+    this.invalidate("boardId", "Board not found");
+    return;
+  }
+
+  // New tasks start in the board's first column
+  if (!this.status) {
+    this.status = board.columns[0].key;
+  }
+
+  const column = board.getColumn(this.status);
+  if (!column) {
+    this.invalidate(
+      "status",
+      `Status ${this.status} is not a column on this board`
+    );
+    return;
+  }
+
+  // Set completedAt when the task moves into a done column, which open
+  // blockers prevent unless an admin overrides them. Only blockers matching
+  // `$locals.readFilter`, the read access filter of the user making the
+  // change, are named; the others are only counted.
+  if (column.isDone && !this.completedAt) {
+    if (!this.isNew && !this.$locals.overrideBlockers) {
+      const blockers = await this.findOpenBlockers();
+      if (blockers.length > 0) {
+        const visible = this.$locals.readFilter
+          ? await this.constructor
+              .find({
+                _id: { $in: blockers.map((blocker) => blocker._id) },
+                ...this.$locals.readFilter,
+              })
+              .select("title")
+          : [];
+        const names = visible.map((blocker) => `"${blocker.title}"`);
+        const hidden = blockers.length - visible.length;
+        if (hidden > 0) {
+          names.push(`${hidden} you cannot see`);
+        }
+        this.invalidate(
+          "status",
+          `Task is blocked by open tasks: ${names.join(", ")}`
+        );
+        return;
+      }
+    }
     this.completedAt = new Date();
   }
 
-  // Clear completedAt if status changes from 'done' to something else
-  if (this.isModified("status") && this.status !== "done" && this.completedAt) {
+  // Clear completedAt if the task moves out of a done column
+  if (!column.isDone && this.completedAt) {
     this.completedAt = null;
   }
+});
+
+// Trashed tasks are left out of every query that does not filter on
+// deletedAt itself. deleteOne is left alone so trashed documents can still
+// be deleted, and bulkWrite runs no query middleware, so its operations
+// have to leave out trashed tasks themselves.
+taskSchema.pre(
+  [
+    "countDocuments",
+    "distinct",
+    "find",
+    "findOne",
+    "findOneAndUpdate",
+    "findOneAndDelete",
+    "updateOne",
+    "updateMany",
+    "deleteMany",
+  ],
+  function () {
+    if (!("deletedAt" in this.getFilter())) {
+      this.where({ deletedAt: null });
+    }
+  }
+);
+
+taskSchema.pre("aggregate", function () {
+  const [first] = this.pipeline();
+  if (!(first?.$match && "deletedAt" in first.$match)) {
+    this.pipeline().unshift({ $match: { deletedAt: null } });
+  }
+});
 
+// Pre-save middleware to update timestamps
+taskSchema.pre("save", function (next) {
+  this.updatedAt = Date.now();
   next();
 });
 
@@ -215,7 +609,7 @@ taskSchema.statics.findByStatus = function (status, filters = {}) {
 // Static method to get overdue tasks
 taskSchema.statics.findOverdue = function () {
   return this.find({
-    status: { $ne: "done" },
+    completedAt: null,
     dueDate: { $lt: new Date() },
     isArchived: false,
   })
@@ -223,6 +617,226 @@ taskSchema.statics.findOverdue = function () {
     .sort({ dueDate: 1 });
 };
 
+// Static method to give unranked tasks in a column a rank after the last
+// ranked task, oldest first (tasks created before ranks existed, or moved
+// in by a column deletion)
+taskSchema.statics.ensureColumnRanked = async function (boardId, status) {
+  const unranked = await this.find({
+    boardId,
+    status,
+    rank: { $not: { $type: "string" } },
+  })
+    .select("_id")
+    .sort({ createdAt: 1 });
+
+  if (unranked.length === 0) return;
+
+  const last = await this.findOne({
+    boardId,
+    status,
+    rank: { $type: "string" },
+  })
+    .select("rank")
+    .sort({ rank: -1 });
+
+  const ranks = generateNKeysBetween(
+    last ? last.rank : null,
+    null,
+    unranked.length
+  );
+
+  try {
+    await this.bulkWrite(
+      unranked.map((task, index) => ({
+        updateOne: {
+          filter: { _id: task._id, rank: { $not: { $type: "string" } } },
+          update: { $set: { rank: ranks[index] } },
+        },
+      })),
+      { ordered: false }
+    );
+  } catch (error) {
+    // Another request ranked the column at the same time
+    if (error.code !== 11000) throw error;
+  }
+};
+
+// Instance method to compute a rank placing the task in its column, either
+// right after afterId, right before beforeId, or at the end of the column
+taskSchema.methods.assignRank = async function ({ afterId, beforeId } = {}) {
+  const Task = this.constructor;
+  await Task.ensureColumnRanked(this.boardId, this.status);
+
+  const column = {
+    boardId: this.boardId,
+    status: this.status,
+    rank: { $type: "string" },
+  };
+  const others = { ...column, _id: { $ne: this._id } };
+
+  const findNeighbour = async (neighbourId) => {
+    const neighbour = await Task.findOne({ ...column, _id: neighbourId });
+    if (!neighbour || neighbour._id.equals(this._id)) {
+      const error = new Error(
+        "Neighbour task is not in the target column. Please refresh and try again."
+      );
+      error.statusCode = 409;
+      throw error;
+    }
+    return neighbour;
+  };
+
+  let lower = null;
+  let upper = null;
+
+  // Neighbours are always re-read, so a card dropped into the same slot by
+  // someone else is placed around rather than on top of
+  if (afterId) {
+    lower = (await findNeighbour(afterId)).rank;
+    const next = await Task.findOne({ ...others, rank: { $gt: lower } })
+      .select("rank")
+      .sort({ rank: 1 });
+    upper = next ? next.rank : null;
+  } else if (beforeId) {
+    upper = (await findNeighbour(beforeId)).rank;
+    const previous = await Task.findOne({ ...others, rank: { $lt: upper } })
+      .select("rank")
+      .sort({ rank: -1 });
+    lower = previous ? previous.rank : null;
+  } else {
+    const last = await Task.findOne(others).select("rank").sort({ rank: -1 });
+    lower = last ? last.rank : null;
+  }
+
+  this.rank = generateKeyBetween(lower, upper);
+  return this.rank;
+};
+
+// Instance method to save the task with a fresh rank, retrying when a
+// concurrent move claimed the same rank in the column
+taskSchema.methods.saveWithRank = async function (position = {}, attempts = 5) {
+  // Validation resolves the default status before the rank is computed
+  await this.validate();
+
+  for (let attempt = 1; ; attempt += 1) {
+    await this.assignRank(position);
+    try {
+      return await this.save();
+    } catch (error) {
+      const rankTaken = error.code === 11000 && error.keyPattern?.rank;
+      if (!rankTaken || attempt >= attempts) throw error;
+    }
+  }
+};
+
+// Instance method to find the unfinished tasks blocking this one
+taskSchema.methods.findOpenBlockers = async function () {
+  const links = await TaskDependency.find({
+    toTask: this._id,
+    type: "blocks",
+  }).select("fromTask");
+
+  return this.constructor
+    .find({
+      _id: { $in: links.map((link) => link.fromTask) },
+      completedAt: null,
+    })
+    .select("title status boardId");
+};
+
+// Instance method to compute the due date of the next occurrence of a
+// recurring task: the first date on its rule after both its due date and
+// `now` (missed dates are left out), moved on by any skipped occurrences.
+// Null when the series has ended.
+taskSchema.methods.getNextDueDate = function (now = new Date()) {
+  const rule = this.recurrence;
+  if (!rule || rule.stoppedAt) return null;
+
+  let dueDate = getNextOccurrence(rule, this.dueDate);
+  while (dueDate && dueDate <= now) {
+    dueDate = getNextOccurrence(rule, dueDate);
+  }
+  for (let skipped = 0; dueDate && skipped < rule.skipCount; skipped += 1) {
+    dueDate = getNextOccurrence(rule, dueDate);
+  }
+  return dueDate;
+};
+
+// Instance method to create the next occurrence of a recurring task, with
+// the same details, incomplete subtasks and dates shifted to the new due
+// date. The task is claimed first so only one occurrence is ever created
+// from it, even with several server instances. Returns the new task, or
+// null when there is nothing to create.
+taskSchema.methods.createNextOccurrence = async function (now = new Date()) {
+  const rule = this.recurrence;
+  if (!rule || rule.stoppedAt || rule.nextOccurrenceId) return null;
+
+  const Task = this.constructor;
+  const dueDate = this.getNextDueDate(now);
+  // The series is over once its rule has no more dates
+  if (!dueDate) {
+    await Task.updateOne(
+      { _id: this._id, "recurrence.stoppedAt": null },
+      { "recurrence.stoppedAt": now }
+    );
+    return null;
+  }
+
+  const occurrenceId = new mongoose.Types.ObjectId();
+  const claimed = await Task.findOneAndUpdate(
+    {
+      _id: this._id,
+      "recurrence.nextOccurrenceId": null,
+      "recurrence.stoppedAt": null,
+    },
+    { "recurrence.nextOccurrenceId": occurrenceId }
+  );
+  if (!claimed) return null;
+
+  const shift = dueDate.getTime() - this.dueDate.getTime();
+  const occurrence = new Task({
+    _id: occurrenceId,
+    title: this.title,
+    description: this.description,
+    boardId: this.boardId,
+    priority: this.priority,
+    assignee: this.assignee,
+    assigneeId: this.assigneeId,
+    createdBy: this.createdBy,
+    dueDate,
+    tags: this.tags,
+    subtasks: this.subtasks.map((subtask) => ({
+      text: subtask.text,
+      assignee: subtask.assignee,
+      assigneeId: subtask.assigneeId,
+      dueDate: subtask.dueDate
+        ? new Date(subtask.dueDate.getTime() + shift)
+        : null,
+    })),
+    recurrence: {
+      frequency: rule.frequency,
+      interval: rule.interval,
+      weekdays: rule.weekdays,
+      monthDay: rule.monthDay,
+      until: rule.until,
+      seriesId: rule.seriesId,
+    },
+  });
+
+  try {
+    await occurrence.saveWithRank();
+  } catch (error) {
+    // Release the claim so the occurrence can be created later
+    await Task.updateOne(
+      { _id: this._id, "recurrence.nextOccurrenceId": occurrenceId },
+      { "recurrence.nextOccurrenceId": null }
+    );
+    throw error;
+  }
+
+  return occurrence;
+};
+
 // Instance method to add comment
 taskSchema.methods.addComment = function (commentData) {
   this.comments.push(commentData);
@@ -0,0 +1,149 @@
+import mongoose from "mongoose";
+
+// Link types as stored. "blocked-by" is a "blocks" link read from the other
+// end, so it is not stored separately.
+export const DEPENDENCY_TYPES = ["blocks", "relatesTo"];
+
+// Most tasks a dependency graph walk visits
+const MAX_GRAPH_TASKS = 200;
+
+const taskDependencySchema = new mongoose.Schema(
+  {
+    // For "blocks" links, fromTask blocks toTask
+    fromTask: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Task",
+      required: true,
+    },
+    toTask: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Task",
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: DEPENDENCY_TYPES,
+      required: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Indexes for better query performance
+taskDependencySchema.index(
+  { fromTask: 1, toTask: 1, type: 1 },
+  { unique: true }
+);
+taskDependencySchema.index({ toTask: 1, type: 1 });
+
+// Static method to find all links to or from a task
+taskDependencySchema.statics.findForTask = function (taskId) {
+  return this.find({ $or: [{ fromTask: taskId }, { toTask: taskId }] });
+};
+
+// Static method to find a link between two tasks in either direction
+taskDependencySchema.statics.findBetween = function (taskId, otherId) {
+  return this.findOne({
+    $or: [
+      { fromTask: taskId, toTask: otherId },
+      { fromTask: otherId, toTask: taskId },
+    ],
+  });
+};
+
+// Static method to check whether "fromId blocks toId" would close a loop,
+// i.e. whether toId already blocks fromId through a chain of links
+taskDependencySchema.statics.wouldCreateCycle = async function (fromId, toId) {
+  const target = fromId.toString();
+  const visited = new Set([toId.toString()]);
+  let frontier = [toId];
+
+  while (frontier.length > 0) {
+    const links = await this.find({
+      fromTask: { $in: frontier },
+      type: "blocks",
+    }).select("toTask");
+
+    frontier = [];
+    for (const link of links) {
+      const id = link.toTask.toString();
+      if (id === target) return true;
+      if (!visited.has(id)) {
+        visited.add(id);
+        frontier.push(link.toTask);
+      }
+    }
+  }
+
+  return false;
+};
+
+// Static method to collect the links around a task: every task it is
+// blocked by or blocks, directly or through a chain, plus its direct
+// "relatesTo" links. Returns the ids of the tasks reached and the links.
+taskDependencySchema.statics.getGraph = async function (taskId) {
+  const taskIds = new Set([taskId.toString()]);
+  const links = new Map();
+
+  const addLinks = (found) => {
+    const reached = [];
+    for (const link of found) {
+      links.set(link._id.toString(), link);
+      for (const id of [link.fromTask, link.toTask]) {
+        if (!taskIds.has(id.toString()) && taskIds.size < MAX_GRAPH_TASKS) {
+          taskIds.add(id.toString());
+          reached.push(id);
+        }
+      }
+    }
+    return reached;
+  };
+
+  addLinks(
+    await this.find({
+      type: "relatesTo",
+      $or: [{ fromTask: taskId }, { toTask: taskId }],
+    })
+  );
+
+  // Walk blockers upstream and blocked tasks downstream separately, so the
+  // graph does not spread to unrelated tasks that share a blocker
+  for (const [from, to] of [
+    ["toTask", "fromTask"],
+    ["fromTask", "toTask"],
+  ]) {
+    let frontier = [taskId];
+    const seen = new Set([taskId.toString()]);
+
+    while (frontier.length > 0) {
+      const found = await this.find({
+        [from]: { $in: frontier },
+        type: "blocks",
+      });
+      addLinks(found);
+
+      frontier = found
+        .map((link) => link[to])
+        .filter((id) => !seen.has(id.toString()) && taskIds.has(id.toString()));
+      frontier.forEach((id) => seen.add(id.toString()));
+    }
+  }
+
+  return { taskIds: [...taskIds], links: [...links.values()] };
+};
+
+const TaskDependency = mongoose.model("TaskDependency", taskDependencySchema);
+
+export default TaskDependency;
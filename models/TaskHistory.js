@@ -0,0 +1,139 @@
+import mongoose from "mongoose";
+
+// Fields that change as a side effect of every save and are not worth recording
+const IGNORED_FIELDS = ["_id", "updatedAt", "createdAt", "__v"];
+
+const changeSchema = new mongoose.Schema(
+  {
+    field: {
+      type: String,
+      required: true,
+    },
+    oldValue: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    newValue: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+  },
+  { _id: false }
+);
+
+const taskHistorySchema = new mongoose.Schema(
+  {
+    taskId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Task",
+      required: true,
+    },
+    boardId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Board",
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    userName: {
+      type: String,
+      required: true,
+    },
+    action: {
+      type: String,
+      enum: [
+        "update",
+        "bulkUpdate",
+        "move",
+        "subtaskUpdate",
+        "comment",
+        "revert",
+      ],
+      required: true,
+    },
+    // Set when the changes apply to a subtask or comment rather than the task
+    subtaskId: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+    commentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+    // Set on revert entries to the entry that was reverted
+    revertOf: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "TaskHistory",
+      default: null,
+    },
+    changes: [changeSchema],
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Indexes for better query performance
+taskHistorySchema.index({ taskId: 1, createdAt: -1 });
+taskHistorySchema.index({ user: 1 });
+
+// Normalise a value so it can be stored and compared (ObjectIds and Dates
+// become strings, mongoose arrays become plain arrays)
+const normalize = (value) =>
+  value === undefined ? null : JSON.parse(JSON.stringify(value));
+
+// Static method to compare two plain snapshots over the given fields
+taskHistorySchema.statics.diff = function (before, after, fields) {
+  return fields
+    .filter((field) => !IGNORED_FIELDS.includes(field))
+    .map((field) => ({
+      field,
+      oldValue: normalize(before[field]),
+      newValue: normalize(after[field]),
+    }))
+    .filter(
+      (change) =>
+        JSON.stringify(change.oldValue) !== JSON.stringify(change.newValue)
+    );
+};
+
+// Static method to take a plain snapshot of a task or subtask for diffing
+taskHistorySchema.statics.snapshot = function (doc) {
+  return doc.toObject({ depopulate: true, virtuals: false });
+};
+
+// Static method to record a history entry (skipped when nothing changed)
+taskHistorySchema.statics.record = function ({
+  task,
+  user,
+  action,
+  changes,
+  subtaskId = null,
+  commentId = null,
+  revertOf = null,
+}) {
+  if (!changes || changes.length === 0) return null;
+
+  return this.create({
+    taskId: task._id,
+    boardId: task.boardId?._id || task.boardId,
+    user: user._id,
+    userName: user.name,
+    action,
+    subtaskId,
+    commentId,
+    revertOf,
+    changes,
+  });
+};
+
+const TaskHistory = mongoose.model("TaskHistory", taskHistorySchema);
+
+export default TaskHistory;
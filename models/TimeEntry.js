@@ -0,0 +1,126 @@
+import mongoose from "mongoose";
+import Task from "./Task.js";
+
+const timeEntrySchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    taskId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Task",
+      required: true,
+    },
+    startedAt: {
+      type: Date,
+      required: true,
+    },
+    // Null while the timer is running
+    endedAt: {
+      type: Date,
+      default: null,
+    },
+    duration: {
+      type: Number,
+      default: 0, // in seconds
+      min: 0,
+    },
+    note: {
+      type: String,
+      trim: true,
+      maxlength: [500, "Note cannot be more than 500 characters"],
+      default: "",
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+    updatedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Indexes for better query performance
+timeEntrySchema.index({ taskId: 1, startedAt: -1 });
+timeEntrySchema.index({ user: 1, startedAt: -1 });
+// Each user can have at most one running timer
+timeEntrySchema.index(
+  { user: 1 },
+  { unique: true, partialFilterExpression: { endedAt: null } }
+);
+
+// Virtual for checking if the timer is still running
+timeEntrySchema.virtual("isRunning").get(function () {
+  return this.endedAt === null;
+});
+
+// Keep the duration in step with the start and end times
+timeEntrySchema.pre("validate", function (next) {
+  if (this.endedAt && this.endedAt < this.startedAt) {
+    this.invalidate("endedAt", "End time must be after the start time");
+  }
+
+  this.duration = this.endedAt
+    ? Math.round((this.endedAt - this.startedAt) / 1000)
+    : 0;
+  next();
+});
+
+// Pre-save middleware to update timestamps
+timeEntrySchema.pre("save", function (next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Static method to recalculate a task's timeSpent from its finished entries.
+// Returns the task with just its time fields.
+timeEntrySchema.statics.syncTaskTime = async function (taskId) {
+  const [result] = await this.aggregate([
+    {
+      $match: {
+        taskId: new mongoose.Types.ObjectId(taskId),
+        endedAt: { $ne: null },
+      },
+    },
+    { $group: { _id: null, total: { $sum: "$duration" } } },
+  ]);
+  const timeSpent = result ? result.total : 0;
+
+  return Task.findByIdAndUpdate(taskId, { timeSpent }, { new: true }).select(
+    "timeSpent boardId assigneeId createdBy"
+  );
+};
+
+// Static method to stop any timers still running on the given tasks
+timeEntrySchema.statics.stopRunningForTasks = async function (taskIds) {
+  const running = await this.find({ taskId: { $in: taskIds }, endedAt: null });
+  const endedAt = new Date();
+
+  for (const entry of running) {
+    entry.endedAt = endedAt;
+    await entry.save();
+  }
+
+  return running;
+};
+
+// Static method to get the total time a user has logged
+timeEntrySchema.statics.totalForUser = async function (userId) {
+  const [result] = await this.aggregate([
+    { $match: { user: userId, endedAt: { $ne: null } } },
+    { $group: { _id: null, total: { $sum: "$duration" } } },
+  ]);
+  return result ? result.total : 0;
+};
+
+const TimeEntry = mongoose.model("TimeEntry", timeEntrySchema);
+
+export default TimeEntry;
@@ -1,5 +1,15 @@
 import mongoose from "mongoose";
 import bcrypt from "bcryptjs";
+import crypto from "crypto";
+import { verifyTotp } from "../utils/totp.js";
+
+const RECOVERY_CODE_COUNT = 10;
+
+const hashRecoveryCode = (code) =>
+  crypto
+    .createHash("sha256")
+    .update(code.replace(/[\s-]/g, "").toLowerCase())
+    .digest("hex");
 
 const userSchema = new mongoose.Schema(
   {
@@ -40,6 +50,50 @@ const userSchema = new mongoose.Schema(
       type: Date,
       default: null,
     },
+    // Minutes before a due date to be reminded; unset to use the server's
+    // default offsets, empty for no reminders
+    reminderOffsets: {
+      type: [Number],
+      default: undefined,
+    },
+    // Access tokens issued before this are no longer accepted
+    passwordChangedAt: {
+      type: Date,
+      default: null,
+    },
+    twoFactor: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      enabledAt: {
+        type: Date,
+        default: null,
+      },
+      // Base32 TOTP secret, and the one waiting for its first code during setup
+      secret: {
+        type: String,
+        default: null,
+        select: false,
+      },
+      pendingSecret: {
+        type: String,
+        default: null,
+        select: false,
+      },
+      // SHA-256 hashes of the unused recovery codes
+      recoveryCodes: {
+        type: [String],
+        default: [],
+        select: false,
+      },
+      // Last time step a code was accepted for, so codes cannot be replayed
+      lastUsedStep: {
+        type: Number,
+        default: null,
+        select: false,
+      },
+    },
     createdAt: {
       type: Date,
       default: Date.now,
@@ -65,6 +119,12 @@ userSchema.pre("save", async function (next) {
     // Hash password with cost of 12
     const salt = await bcrypt.genSalt(12);
     this.password = await bcrypt.hash(this.password, salt);
+
+    // Backdated by a second, since token issue times are in whole seconds
+    // and the new session's token is signed right after this save
+    if (!this.isNew) {
+      this.passwordChangedAt = new Date(Date.now() - 1000);
+    }
     next();
   } catch (error) {
     next(error);
@@ -82,6 +142,51 @@ userSchema.methods.matchPassword = async function (enteredPassword) {
   return await bcrypt.compare(enteredPassword, this.password);
 };
 
+// Instance method to check whether the password changed after a token was
+// issued (iat is in seconds, as in JWT payloads)
+userSchema.methods.changedPasswordAfter = function (iat) {
+  return Boolean(
+    this.passwordChangedAt && this.passwordChangedAt.getTime() > iat * 1000
+  );
+};
+
+// Instance method to replace the recovery codes. Returns the new codes,
+// which are only stored hashed. Needs twoFactor.recoveryCodes selected.
+userSchema.methods.generateRecoveryCodes = function () {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () =>
+    crypto
+      .randomBytes(5)
+      .toString("hex")
+      .replace(/^(.{5})/, "$1-")
+  );
+  this.twoFactor.recoveryCodes = codes.map(hashRecoveryCode);
+  return codes;
+};
+
+// Instance method to check a TOTP code, or a recovery code which is then used
+// up. Needs the twoFactor secret, lastUsedStep and recoveryCodes selected;
+// save the user afterwards to keep the replay and recovery state.
+userSchema.methods.verifyTwoFactorCode = function ({ code, recoveryCode }) {
+  if (code) {
+    const step = verifyTotp(this.twoFactor.secret, code);
+    if (step === null || step <= (this.twoFactor.lastUsedStep ?? -1)) {
+      return false;
+    }
+    this.twoFactor.lastUsedStep = step;
+    return true;
+  }
+
+  if (recoveryCode) {
+    const hash = hashRecoveryCode(recoveryCode);
+    const index = this.twoFactor.recoveryCodes.indexOf(hash);
+    if (index === -1) return false;
+    this.twoFactor.recoveryCodes.splice(index, 1);
+    return true;
+  }
+
+  return false;
+};
+
 // Virtual for user's full profile (excluding sensitive data)
 userSchema.virtual("profile").get(function () {
   return {
@@ -91,6 +196,8 @@ userSchema.virtual("profile").get(function () {
     role: this.role,
     avatar: this.avatar,
     isActive: this.isActive,
+    twoFactorEnabled: Boolean(this.twoFactor?.enabled),
+    reminderOffsets: this.reminderOffsets ?? null,
     lastLogin: this.lastLogin,
     createdAt: this.createdAt,
   };
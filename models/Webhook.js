@@ -0,0 +1,89 @@
+import crypto from "crypto";
+import mongoose from "mongoose";
+
+// Events a webhook can subscribe to
+export const WEBHOOK_EVENTS = [
+  "task.created",
+  "task.updated",
+  "task.deleted",
+  "comment.added",
+  "subtask.added",
+  "subtask.updated",
+  "subtask.deleted",
+  "subtask.reordered",
+];
+
+// Prefix that makes webhook secrets easy to recognise
+const SECRET_PREFIX = "whsec_";
+
+const webhookSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: [true, "Webhook URL is required"],
+    trim: true,
+  },
+  events: {
+    type: [{ type: String, enum: WEBHOOK_EVENTS }],
+    validate: {
+      validator: (events) => events.length > 0,
+      message: "At least one event is required",
+    },
+  },
+  // Key payloads are signed with. Kept in plain text since it is needed for
+  // signing; only shown when it is set.
+  secret: {
+    type: String,
+    required: true,
+    select: false,
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, "Description cannot be more than 200 characters"],
+    default: "",
+  },
+  // Inactive webhooks get no new deliveries and stop retrying pending ones
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Indexes for better query performance
+webhookSchema.index({ isActive: 1, events: 1 });
+
+// Static method to generate a new signing secret
+webhookSchema.statics.generateSecret = function () {
+  return `${SECRET_PREFIX}${crypto.randomBytes(32).toString("base64url")}`;
+};
+
+// Static method to find the active webhooks subscribed to an event
+webhookSchema.statics.findForEvent = function (event) {
+  return this.find({ isActive: true, events: event });
+};
+
+// Instance method to sign a request body. The timestamp is signed with the
+// body so a captured request cannot be replayed later.
+webhookSchema.methods.sign = function (timestamp, body) {
+  return crypto
+    .createHmac("sha256", this.secret)
+    .update(`${timestamp}.${body}`)
+    .digest("hex");
+};
+
+const Webhook = mongoose.model("Webhook", webhookSchema);
+
+export default Webhook;
@@ -0,0 +1,145 @@
+import mongoose from "mongoose";
+
+// How long deliveries are kept in the log
+const RETENTION_SECONDS = 30 * 24 * 60 * 60;
+
+// Responses kept per delivery, newest last
+const MAX_RESPONSES = 20;
+
+// How long a claimed delivery is left alone before it is tried again, in
+// case the server sending it stopped halfway
+const CLAIM_TIMEOUT_MS = 5 * 60 * 1000;
+
+// Outcome of one attempt at sending a delivery
+const responseSchema = new mongoose.Schema(
+  {
+    attemptedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // Null when no response was received
+    statusCode: {
+      type: Number,
+      default: null,
+    },
+    error: {
+      type: String,
+      default: null,
+    },
+    durationMs: {
+      type: Number,
+      default: 0,
+    },
+  },
+  { _id: false }
+);
+
+// One event queued for one webhook. Pending deliveries are the queue; sent
+// and failed ones are the delivery log.
+const webhookDeliverySchema = new mongoose.Schema({
+  webhook: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Webhook",
+    required: true,
+  },
+  event: {
+    type: String,
+    required: true,
+  },
+  // Event data, sent as the `data` of the request body
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {},
+  },
+  status: {
+    type: String,
+    enum: ["pending", "succeeded", "failed"],
+    default: "pending",
+  },
+  // Attempts since the delivery was last queued
+  attempts: {
+    type: Number,
+    default: 0,
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now,
+  },
+  lastAttemptAt: {
+    type: Date,
+    default: null,
+  },
+  deliveredAt: {
+    type: Date,
+    default: null,
+  },
+  responses: [responseSchema],
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Indexes for better query performance
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ webhook: 1, createdAt: -1 });
+webhookDeliverySchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: RETENTION_SECONDS }
+);
+
+// Static method to claim the next due delivery matching `filter` for
+// sending. Claiming counts the attempt and pushes the next attempt back, so
+// no other job run or server instance sends it at the same time.
+webhookDeliverySchema.statics.claimNext = function (filter = {}) {
+  const now = new Date();
+  return this.findOneAndUpdate(
+    { ...filter, status: "pending", nextAttemptAt: { $lte: now } },
+    {
+      $set: {
+        nextAttemptAt: new Date(now.getTime() + CLAIM_TIMEOUT_MS),
+        lastAttemptAt: now,
+      },
+      $inc: { attempts: 1 },
+    },
+    { new: true, sort: { nextAttemptAt: 1 } }
+  );
+};
+
+// Instance method to record the outcome of an attempt. `nextAttemptAt` is
+// when to retry, or null to give up.
+webhookDeliverySchema.methods.recordResponse = function (
+  response,
+  nextAttemptAt
+) {
+  const succeeded = response.error === null;
+  const update = {
+    $push: { responses: { $each: [response], $slice: -MAX_RESPONSES } },
+  };
+
+  if (succeeded) {
+    update.$set = { status: "succeeded", deliveredAt: response.attemptedAt };
+  } else if (nextAttemptAt) {
+    update.$set = { nextAttemptAt };
+  } else {
+    update.$set = { status: "failed" };
+  }
+
+  return this.constructor.findByIdAndUpdate(this._id, update, { new: true });
+};
+
+// Instance method to queue the delivery again, with a fresh set of attempts
+webhookDeliverySchema.methods.requeue = function () {
+  return this.constructor.findByIdAndUpdate(
+    this._id,
+    { status: "pending", attempts: 0, nextAttemptAt: new Date() },
+    { new: true }
+  );
+};
+
+const WebhookDelivery = mongoose.model(
+  "WebhookDelivery",
+  webhookDeliverySchema
+);
+
+export default WebhookDelivery;
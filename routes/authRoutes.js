@@ -1,5 +1,5 @@
 import express from "express";
-import { body } from "express-validator";
+import { body, param } from "express-validator";
 import {
   register,
   login,
@@ -7,8 +7,28 @@ import {
   updateProfile,
   changePassword,
   logout,
+  refresh,
+  forgotPassword,
+  resetPassword,
+  loginWithTwoFactor,
 } from "../controllers/authController.js";
+import {
+  setupTwoFactor,
+  verifyTwoFactorSetup,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+} from "../controllers/twoFactorController.js";
+import {
+  getAccessTokens,
+  createAccessToken,
+  revokeAccessToken,
+} from "../controllers/accessTokenController.js";
 import { protect } from "../middleware/auth.js";
+import { TOKEN_SCOPES } from "../models/PersonalAccessToken.js";
+import {
+  MAX_REMINDER_OFFSETS,
+  MAX_REMINDER_OFFSET_MINUTES,
+} from "../config/reminders.js";
 
 const router = express.Router();
 
@@ -50,6 +70,18 @@ const updateProfileValidation = [
     .isEmail()
     .normalizeEmail()
     .withMessage("Please enter a valid email"),
+  body("reminderOffsets")
+    .optional({ values: "null" })
+    .isArray({ max: MAX_REMINDER_OFFSETS })
+    .withMessage(
+      `Reminder offsets must be an array of at most ${MAX_REMINDER_OFFSETS} values`
+    ),
+  body("reminderOffsets.*")
+    .isInt({ min: 1, max: MAX_REMINDER_OFFSET_MINUTES })
+    .withMessage(
+      `Reminder offsets must be minutes between 1 and ${MAX_REMINDER_OFFSET_MINUTES}`
+    )
+    .toInt(),
 ];
 
 const changePasswordValidation = [
@@ -61,9 +93,80 @@ const changePasswordValidation = [
     .withMessage("New password must be at least 6 characters long"),
 ];
 
+const refreshTokenValidation = [
+  body("refreshToken")
+    .isString()
+    .notEmpty()
+    .withMessage("Refresh token is required"),
+];
+
+const forgotPasswordValidation = [
+  body("email")
+    .isEmail()
+    .normalizeEmail()
+    .withMessage("Please enter a valid email"),
+];
+
+const resetPasswordValidation = [
+  body("token").isString().notEmpty().withMessage("Reset token is required"),
+  body("password")
+    .isLength({ min: 6 })
+    .withMessage("Password must be at least 6 characters long"),
+];
+
+const twoFactorLoginValidation = [
+  body("challengeToken")
+    .isString()
+    .notEmpty()
+    .withMessage("Challenge token is required"),
+  body("code")
+    .if(body("recoveryCode").not().exists())
+    .isString()
+    .notEmpty()
+    .withMessage("A two-factor code or recovery code is required"),
+  body("recoveryCode")
+    .optional()
+    .isString()
+    .withMessage("Recovery code must be a string"),
+];
+
+const twoFactorCodeValidation = [
+  body("code").isString().notEmpty().withMessage("Two-factor code is required"),
+];
+
+const passwordConfirmationValidation = [
+  body("password").notEmpty().withMessage("Password is required"),
+];
+
+const createAccessTokenValidation = [
+  body("name")
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage("Token name must be between 1 and 100 characters"),
+  body("scopes")
+    .isArray({ min: 1 })
+    .withMessage("At least one scope is required"),
+  body("scopes.*")
+    .isIn(TOKEN_SCOPES)
+    .withMessage(`Scopes must be among: ${TOKEN_SCOPES.join(", ")}`),
+  body("expiresInDays")
+    .optional({ nullable: true })
+    .isInt({ min: 1, max: 3650 })
+    .withMessage("Expiry must be between 1 and 3650 days"),
+];
+
+const accessTokenIdValidation = [
+  param("id").isMongoId().withMessage("Invalid token ID"),
+];
+
 // Public routes
 router.post("/register", registerValidation, register);
 router.post("/login", loginValidation, login);
+router.post("/refresh", refreshTokenValidation, refresh);
+router.post("/logout", refreshTokenValidation, logout);
+router.post("/forgot-password", forgotPasswordValidation, forgotPassword);
+router.post("/reset-password", resetPasswordValidation, resetPassword);
+router.post("/2fa/login", twoFactorLoginValidation, loginWithTwoFactor);
 
 // Protected routes
 router.use(protect); // All routes below this middleware are protected
@@ -71,6 +174,20 @@ router.use(protect); // All routes below this middleware are protected
 router.get("/me", getMe);
 router.put("/profile", updateProfileValidation, updateProfile);
 router.put("/change-password", changePasswordValidation, changePassword);
-router.post("/logout", logout);
+
+// Two-factor authentication
+router.post("/2fa/setup", setupTwoFactor);
+router.post("/2fa/verify", twoFactorCodeValidation, verifyTwoFactorSetup);
+router.post("/2fa/disable", passwordConfirmationValidation, disableTwoFactor);
+router.post(
+  "/2fa/recovery-codes",
+  passwordConfirmationValidation,
+  regenerateRecoveryCodes
+);
+
+// Personal access tokens
+router.get("/tokens", getAccessTokens);
+router.post("/tokens", createAccessTokenValidation, createAccessToken);
+router.delete("/tokens/:id", accessTokenIdValidation, revokeAccessToken);
 
 export default router;
@@ -0,0 +1,183 @@
+import express from "express";
+import { body, query } from "express-validator";
+import {
+  getBoards,
+  getBoard,
+  createBoard,
+  updateBoard,
+  deleteBoard,
+  addBoardMember,
+  updateBoardMember,
+  removeBoardMember,
+  getColumns,
+  addColumn,
+  reorderColumns,
+  updateColumn,
+  deleteColumn,
+} from "../controllers/boardController.js";
+import {
+  protect,
+  checkPermission,
+  checkBoardAccess,
+} from "../middleware/auth.js";
+
+const router = express.Router();
+
+// All routes are protected
+router.use(protect);
+
+// Validation rules
+const createBoardValidation = [
+  body("name")
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage("Name is required and must be less than 100 characters"),
+  body("description")
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage("Description must be less than 1000 characters"),
+  body("members").optional().isArray().withMessage("Members must be an array"),
+  body("members.*.user")
+    .isMongoId()
+    .withMessage("All member user IDs must be valid"),
+  body("members.*.role")
+    .optional()
+    .isIn(["editor", "viewer"])
+    .withMessage("Member role must be editor or viewer"),
+];
+
+const updateBoardValidation = [
+  body("name")
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage("Name must be less than 100 characters"),
+  body("description")
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage("Description must be less than 1000 characters"),
+];
+
+const addMemberValidation = [
+  body("userId").isMongoId().withMessage("Valid user ID is required"),
+  body("role")
+    .optional()
+    .isIn(["editor", "viewer"])
+    .withMessage("Member role must be editor or viewer"),
+];
+
+const updateMemberValidation = [
+  body("role")
+    .isIn(["editor", "viewer"])
+    .withMessage("Member role must be editor or viewer"),
+];
+
+const addColumnValidation = [
+  body("name")
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage(
+      "Column name is required and must be less than 50 characters"
+    ),
+  body("isDone")
+    .optional()
+    .isBoolean()
+    .withMessage("isDone must be a boolean")
+    .toBoolean(),
+];
+
+const updateColumnValidation = [
+  body("name")
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage("Column name must be less than 50 characters"),
+  body("isDone")
+    .optional()
+    .isBoolean()
+    .withMessage("isDone must be a boolean")
+    .toBoolean(),
+];
+
+const reorderColumnsValidation = [
+  body("keys")
+    .isArray({ min: 1 })
+    .withMessage("Column keys array is required"),
+];
+
+const deleteColumnValidation = [
+  query("moveTo")
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage("moveTo must be a column key"),
+];
+
+// Routes (access rules live in utils/policy.js)
+router.get("/", getBoards);
+router.get("/:id", checkBoardAccess("board:read"), getBoard);
+
+router.post(
+  "/",
+  checkPermission("board:create"),
+  createBoardValidation,
+  createBoard
+);
+
+router.put(
+  "/:id",
+  checkBoardAccess("board:update"),
+  updateBoardValidation,
+  updateBoard
+);
+router.delete("/:id", checkBoardAccess("board:delete"), deleteBoard);
+
+// Members
+router.post(
+  "/:id/members",
+  checkBoardAccess("board:update"),
+  addMemberValidation,
+  addBoardMember
+);
+router.put(
+  "/:id/members/:userId",
+  checkBoardAccess("board:update"),
+  updateMemberValidation,
+  updateBoardMember
+);
+router.delete(
+  "/:id/members/:userId",
+  checkBoardAccess("board:update"),
+  removeBoardMember
+);
+
+// Workflow columns
+router.get("/:id/columns", checkBoardAccess("board:read"), getColumns);
+router.post(
+  "/:id/columns",
+  checkBoardAccess("board:update"),
+  addColumnValidation,
+  addColumn
+);
+router.put(
+  "/:id/columns",
+  checkBoardAccess("board:update"),
+  reorderColumnsValidation,
+  reorderColumns
+);
+router.put(
+  "/:id/columns/:key",
+  checkBoardAccess("board:update"),
+  updateColumnValidation,
+  updateColumn
+);
+router.delete(
+  "/:id/columns/:key",
+  checkBoardAccess("board:update"),
+  deleteColumnValidation,
+  deleteColumn
+);
+
+export default router;
@@ -0,0 +1,54 @@
+import express from "express";
+import { body } from "express-validator";
+import { importTrelloBoard } from "../controllers/importController.js";
+import { protect, checkPermission } from "../middleware/auth.js";
+
+const router = express.Router();
+
+// Imports create boards, so they need the same permission
+router.use(protect, checkPermission("board:create"));
+
+// Validation rules
+const trelloImportValidation = [
+  body("board")
+    .isObject()
+    .withMessage("board must be the Trello board JSON export"),
+  body("board.lists")
+    .isArray()
+    .withMessage("board must be the Trello board JSON export"),
+  body("memberMap")
+    .optional()
+    .isObject()
+    .withMessage(
+      "memberMap must map Trello member IDs or usernames to user IDs or emails"
+    ),
+  body("memberMap.*")
+    .isString()
+    .withMessage("memberMap values must be user IDs or emails"),
+  body("doneLists")
+    .optional()
+    .isArray()
+    .withMessage("doneLists must be an array of list names or IDs"),
+  body("doneLists.*")
+    .isString()
+    .withMessage("doneLists must be an array of list names or IDs"),
+  body("includeArchived")
+    .optional()
+    .isBoolean()
+    .withMessage("includeArchived must be a boolean")
+    .toBoolean(),
+  body("defaultDueDate")
+    .optional()
+    .isISO8601()
+    .withMessage("defaultDueDate must be a valid date"),
+  body("dryRun")
+    .optional()
+    .isBoolean()
+    .withMessage("dryRun must be a boolean")
+    .toBoolean(),
+];
+
+// Routes
+router.post("/trello", trelloImportValidation, importTrelloBoard);
+
+export default router;
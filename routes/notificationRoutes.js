@@ -0,0 +1,42 @@
+import express from "express";
+import { param, query } from "express-validator";
+import {
+  getNotifications,
+  getUnreadCount,
+  markNotificationRead,
+  markAllNotificationsRead,
+} from "../controllers/notificationController.js";
+import { protect } from "../middleware/auth.js";
+
+const router = express.Router();
+
+// All routes are protected
+router.use(protect);
+
+// Validation rules
+const getNotificationsValidation = [
+  query("unreadOnly")
+    .optional()
+    .isBoolean()
+    .withMessage("unreadOnly must be a boolean"),
+  query("page")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Page must be a positive integer"),
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage("Limit must be between 1 and 100"),
+];
+
+const notificationIdValidation = [
+  param("id").isMongoId().withMessage("Valid notification ID is required"),
+];
+
+// Routes
+router.get("/", getNotificationsValidation, getNotifications);
+router.get("/unread-count", getUnreadCount);
+router.put("/read-all", markAllNotificationsRead);
+router.put("/:id/read", notificationIdValidation, markNotificationRead);
+
+export default router;
@@ -0,0 +1,27 @@
+import express from "express";
+import { body } from "express-validator";
+import {
+  getSettings,
+  updateSettings,
+} from "../controllers/settingController.js";
+import { protect, checkPermission } from "../middleware/auth.js";
+
+const router = express.Router();
+
+// All routes are admin only
+router.use(protect, checkPermission("setting:manage"));
+
+// Validation rules
+const updateSettingsValidation = [
+  body("requireAdminTwoFactor")
+    .optional()
+    .isBoolean()
+    .withMessage("requireAdminTwoFactor must be a boolean")
+    .toBoolean(),
+];
+
+// Routes
+router.get("/", getSettings);
+router.put("/", updateSettingsValidation, updateSettings);
+
+export default router;
@@ -2,18 +2,71 @@ import express from "express";
 import { body, query } from "express-validator";
 import {
   getTasks,
+  exportTasks,
   getTask,
   createTask,
   updateTask,
+  moveTask,
   deleteTask,
   bulkUpdateTasks,
   bulkDeleteTasks,
-  addComment,
-  updateSubtask,
+  archiveTask,
+  unarchiveTask,
+  getArchivedTasks,
+  bulkArchiveTasks,
+  bulkUnarchiveTasks,
+  getTrashedTasks,
+  restoreTask,
+  skipOccurrence,
+  stopRecurrence,
   getTaskStats,
   getOverdueTasks,
 } from "../controllers/taskController.js";
-import { protect, authorize, checkTaskAccess } from "../middleware/auth.js";
+import {
+  getComments,
+  addComment,
+  updateComment,
+  deleteComment,
+  addReaction,
+  removeReaction,
+} from "../controllers/commentController.js";
+import {
+  addSubtask,
+  updateSubtask,
+  deleteSubtask,
+  reorderSubtasks,
+  promoteSubtask,
+} from "../controllers/subtaskController.js";
+import {
+  getTaskHistory,
+  revertTaskHistory,
+} from "../controllers/taskHistoryController.js";
+import {
+  getRunningTimer,
+  startTimer,
+  stopTimer,
+  getTimeEntries,
+  addTimeEntry,
+  updateTimeEntry,
+  deleteTimeEntry,
+} from "../controllers/timeEntryController.js";
+import {
+  getDependencies,
+  addDependency,
+  removeDependency,
+} from "../controllers/dependencyController.js";
+import {
+  uploadAttachment,
+  downloadAttachment,
+  deleteAttachment,
+} from "../controllers/attachmentController.js";
+import {
+  protect,
+  checkPermission,
+  checkTaskAccess,
+} from "../middleware/auth.js";
+import { parseAttachmentUpload } from "../middleware/upload.js";
+import { EXPORT_FORMATS, EXPORT_COLUMN_KEYS } from "../utils/taskExport.js";
 
 const router = express.Router();
 
@@ -35,11 +88,21 @@ const createTaskValidation = [
     .optional()
     .isIn(["low", "medium", "high"])
     .withMessage("Priority must be low, medium, or high"),
+  body("task.boardId").isMongoId().withMessage("Valid board ID is required"),
   body("task.assigneeId")
     .isMongoId()
     .withMessage("Valid assignee ID is required"),
   body("task.dueDate").isISO8601().withMessage("Valid due date is required"),
+  body("task.status")
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage("Status must be a workflow column key"),
   body("task.tags").optional().isArray().withMessage("Tags must be an array"),
+  body("task.recurrence")
+    .optional({ values: "null" })
+    .isObject()
+    .withMessage("Recurrence must be an object"),
 ];
 
 const updateTaskValidation = [
@@ -59,8 +122,13 @@ const updateTaskValidation = [
     .withMessage("Priority must be low, medium, or high"),
   body("status")
     .optional()
-    .isIn(["todo", "inprogress", "done"])
-    .withMessage("Status must be todo, inprogress, or done"),
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage("Status must be a workflow column key"),
+  body("boardId")
+    .optional()
+    .isMongoId()
+    .withMessage("Valid board ID is required"),
   body("assigneeId")
     .optional()
     .isMongoId()
@@ -70,10 +138,39 @@ const updateTaskValidation = [
     .isISO8601()
     .withMessage("Valid due date is required"),
   body("tags").optional().isArray().withMessage("Tags must be an array"),
-  body("timeSpent")
+  body("recurrence")
+    .optional({ values: "null" })
+    .isObject()
+    .withMessage("Recurrence must be an object"),
+  body("version")
     .optional()
-    .isNumeric()
-    .withMessage("Time spent must be a number"),
+    .isInt({ min: 0 })
+    .withMessage("Version must be a non-negative integer"),
+  body("overrideBlockers")
+    .optional()
+    .isBoolean()
+    .withMessage("overrideBlockers must be a boolean")
+    .toBoolean(),
+];
+
+const moveTaskValidation = [
+  body("status")
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage("Target status is required"),
+  body("afterId")
+    .optional({ values: "null" })
+    .isMongoId()
+    .withMessage("afterId must be a valid task ID"),
+  body("beforeId")
+    .optional({ values: "null" })
+    .isMongoId()
+    .withMessage("beforeId must be a valid task ID"),
+  body("overrideBlockers")
+    .optional()
+    .isBoolean()
+    .withMessage("overrideBlockers must be a boolean")
+    .toBoolean(),
 ];
 
 const commentValidation = [
@@ -83,20 +180,186 @@ const commentValidation = [
     .withMessage(
       "Comment text is required and must be less than 500 characters"
     ),
+  body("parentId")
+    .optional({ values: "null" })
+    .isMongoId()
+    .withMessage("Parent comment ID must be valid"),
+];
+
+const updateCommentValidation = [
+  body("text")
+    .trim()
+    .isLength({ min: 1, max: 500 })
+    .withMessage(
+      "Comment text is required and must be less than 500 characters"
+    ),
+];
+
+// A reaction is a single emoji, including skin tone, flag and ZWJ sequences
+const EMOJI = /^[\p{RGI_Emoji}\p{Extended_Pictographic}]$/v;
+
+const reactionValidation = [
+  body("emoji")
+    .trim()
+    .isLength({ min: 1, max: 32 })
+    .withMessage("Emoji is required")
+    .bail()
+    .matches(EMOJI)
+    .withMessage("Emoji must be a single emoji"),
 ];
 
 const bulkUpdateValidation = [
   body("taskIds").isArray({ min: 1 }).withMessage("Task IDs array is required"),
   body("taskIds.*").isMongoId().withMessage("All task IDs must be valid"),
   body("updates").isObject().withMessage("Updates object is required"),
+  body("versions")
+    .optional()
+    .isObject()
+    .withMessage("Versions must be an object of task IDs to versions"),
+  body("versions.*")
+    .isInt({ min: 0 })
+    .withMessage("Versions must be non-negative integers"),
+  body("overrideBlockers")
+    .optional()
+    .isBoolean()
+    .withMessage("overrideBlockers must be a boolean")
+    .toBoolean(),
+];
+
+const bulkArchiveValidation = [
+  body("taskIds").isArray({ min: 1 }).withMessage("Task IDs array is required"),
+  body("taskIds.*").isMongoId().withMessage("All task IDs must be valid"),
+];
+
+const addSubtaskValidation = [
+  body("text")
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage(
+      "Subtask text is required and must be less than 200 characters"
+    ),
+  body("assigneeId")
+    .optional({ values: "null" })
+    .isMongoId()
+    .withMessage("Valid assignee ID is required"),
+  body("dueDate")
+    .optional({ values: "null" })
+    .isISO8601()
+    .withMessage("Valid due date is required"),
+];
+
+const updateSubtaskValidation = [
+  body("text")
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage("Subtask text must be less than 200 characters"),
+  body("version")
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage("Version must be a non-negative integer"),
+  body("completed")
+    .optional()
+    .isBoolean()
+    .withMessage("completed must be a boolean")
+    .toBoolean(),
+  body("assigneeId")
+    .optional({ values: "null" })
+    .isMongoId()
+    .withMessage("Valid assignee ID is required"),
+  body("dueDate")
+    .optional({ values: "null" })
+    .isISO8601()
+    .withMessage("Valid due date is required"),
+];
+
+const addDependencyValidation = [
+  body("taskId").isMongoId().withMessage("Valid task ID is required"),
+  body("type")
+    .isIn(["blocks", "blockedBy", "relatesTo"])
+    .withMessage("Type must be blocks, blockedBy or relatesTo"),
+];
+
+const reorderSubtasksValidation = [
+  body("subtaskIds")
+    .isArray({ min: 1 })
+    .withMessage("Subtask IDs array is required"),
+  body("subtaskIds.*").isMongoId().withMessage("All subtask IDs must be valid"),
+];
+
+const revertHistoryValidation = [
+  body("fields")
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage("Fields must be a non-empty array"),
+  body("force")
+    .optional()
+    .isBoolean()
+    .withMessage("force must be a boolean")
+    .toBoolean(),
+];
+
+const timerValidation = [
+  body("note")
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("Note must be less than 500 characters"),
+];
+
+const addTimeEntryValidation = [
+  body("startedAt").isISO8601().withMessage("Valid start time is required"),
+  body("endedAt").isISO8601().withMessage("Valid end time is required"),
+  ...timerValidation,
+];
+
+const updateTimeEntryValidation = [
+  body("startedAt")
+    .optional()
+    .isISO8601()
+    .withMessage("Valid start time is required"),
+  body("endedAt")
+    .optional()
+    .isISO8601()
+    .withMessage("Valid end time is required"),
+  ...timerValidation,
 ];
 
 // Query validation
-const getTasksValidation = [
+const boardQueryValidation = [
+  query("boardId")
+    .optional()
+    .isMongoId()
+    .withMessage("Board ID must be valid"),
+];
+
+const paginationValidation = [
+  query("page")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Page must be a positive integer"),
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage("Limit must be between 1 and 100"),
+];
+
+const getCommentsValidation = [
+  query("parentId")
+    .optional()
+    .isMongoId()
+    .withMessage("Parent comment ID must be valid"),
+  ...paginationValidation,
+];
+
+// Filters shared by the task list and export
+const taskFilterValidation = [
+  ...boardQueryValidation,
   query("status")
     .optional()
-    .isIn(["todo", "inprogress", "done"])
-    .withMessage("Status must be todo, inprogress, or done"),
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage("Status must be a workflow column key"),
   query("priority")
     .optional()
     .isIn(["low", "medium", "high"])
@@ -105,45 +368,248 @@ const getTasksValidation = [
     .optional()
     .isMongoId()
     .withMessage("Assignee ID must be valid"),
-  query("page")
+];
+
+const getTasksValidation = [...taskFilterValidation, ...paginationValidation];
+
+const exportTasksValidation = [
+  ...taskFilterValidation,
+  query("format")
     .optional()
-    .isInt({ min: 1 })
-    .withMessage("Page must be a positive integer"),
-  query("limit")
+    .isIn(EXPORT_FORMATS)
+    .withMessage(`Format must be one of: ${EXPORT_FORMATS.join(", ")}`),
+  query("columns")
     .optional()
-    .isInt({ min: 1, max: 100 })
-    .withMessage("Limit must be between 1 and 100"),
+    .custom((columns) =>
+      columns
+        .split(",")
+        .every((column) => EXPORT_COLUMN_KEYS.includes(column.trim()))
+    )
+    .withMessage(`Columns must be among: ${EXPORT_COLUMN_KEYS.join(", ")}`),
 ];
 
-// Routes
+// Routes (access rules live in utils/policy.js)
 router.get("/", getTasksValidation, getTasks);
-router.get("/stats", getTaskStats);
-router.get("/overdue", getOverdueTasks);
-router.get("/:id", getTask);
+router.get("/export", exportTasksValidation, exportTasks);
+router.get("/stats", boardQueryValidation, getTaskStats);
+router.get("/overdue", boardQueryValidation, getOverdueTasks);
+router.get("/timer", getRunningTimer);
+router.get(
+  "/archived",
+  [...boardQueryValidation, ...paginationValidation],
+  getArchivedTasks
+);
+router.get(
+  "/trash",
+  checkPermission("task:restore"),
+  [...boardQueryValidation, ...paginationValidation],
+  getTrashedTasks
+);
+router.get("/:id", checkTaskAccess("task:read"), getTask);
 
 router.post(
   "/",
-  authorize("admin", "vendor"),
+  checkPermission("task:create"),
   createTaskValidation,
   createTask
 );
 
-router.put("/:id", checkTaskAccess, updateTaskValidation, updateTask);
-router.delete("/:id", authorize("admin"), deleteTask);
+router.put(
+  "/:id",
+  checkTaskAccess("task:update"),
+  updateTaskValidation,
+  updateTask
+);
+router.delete("/:id", checkTaskAccess("task:delete"), deleteTask);
+router.post(
+  "/:id/move",
+  checkTaskAccess("task:update"),
+  moveTaskValidation,
+  moveTask
+);
+router.post("/:id/archive", checkTaskAccess("task:update"), archiveTask);
+router.post("/:id/unarchive", checkTaskAccess("task:update"), unarchiveTask);
+router.post("/:id/restore", checkPermission("task:restore"), restoreTask);
+router.post(
+  "/:id/recurrence/skip",
+  checkTaskAccess("task:update"),
+  skipOccurrence
+);
+router.post(
+  "/:id/recurrence/stop",
+  checkTaskAccess("task:update"),
+  stopRecurrence
+);
 
 // Bulk operations (admin and vendor only)
 router.put(
   "/bulk/update",
-  authorize("admin", "vendor"),
-
+  checkPermission("task:bulkUpdate"),
+  bulkUpdateValidation,
   bulkUpdateTasks
 );
-router.delete("/bulk/delete", authorize("admin"), bulkDeleteTasks);
+router.delete("/bulk/delete", checkPermission("task:delete"), bulkDeleteTasks);
+router.put(
+  "/bulk/archive",
+  checkPermission("task:bulkUpdate"),
+  bulkArchiveValidation,
+  bulkArchiveTasks
+);
+router.put(
+  "/bulk/unarchive",
+  checkPermission("task:bulkUpdate"),
+  bulkArchiveValidation,
+  bulkUnarchiveTasks
+);
 
 // Comments
-router.post("/:id/comments", checkTaskAccess, commentValidation, addComment);
+router.get(
+  "/:id/comments",
+  checkTaskAccess("task:read"),
+  getCommentsValidation,
+  getComments
+);
+router.post(
+  "/:id/comments",
+  checkTaskAccess("comment:create"),
+  commentValidation,
+  addComment
+);
+router.put(
+  "/:id/comments/:commentId",
+  checkTaskAccess("task:read"),
+  updateCommentValidation,
+  updateComment
+);
+router.delete(
+  "/:id/comments/:commentId",
+  checkTaskAccess("task:read"),
+  deleteComment
+);
+router.post(
+  "/:id/comments/:commentId/reactions",
+  checkTaskAccess("comment:react"),
+  reactionValidation,
+  addReaction
+);
+router.delete(
+  "/:id/comments/:commentId/reactions/:emoji",
+  checkTaskAccess("comment:react"),
+  removeReaction
+);
+
+// History
+router.get(
+  "/:id/history",
+  checkTaskAccess("task:read"),
+  paginationValidation,
+  getTaskHistory
+);
+router.post(
+  "/:id/history/:entryId/revert",
+  checkTaskAccess("task:read"),
+  revertHistoryValidation,
+  revertTaskHistory
+);
+
+// Attachments
+router.post(
+  "/:id/attachments",
+  checkTaskAccess("task:update"),
+  parseAttachmentUpload,
+  uploadAttachment
+);
+router.get(
+  "/:id/attachments/:attachmentId",
+  checkTaskAccess("task:read"),
+  downloadAttachment
+);
+router.delete(
+  "/:id/attachments/:attachmentId",
+  checkTaskAccess("task:read"),
+  deleteAttachment
+);
+
+// Timers and time entries
+router.post(
+  "/:id/timer/start",
+  checkTaskAccess("task:update"),
+  timerValidation,
+  startTimer
+);
+router.post(
+  "/:id/timer/stop",
+  checkTaskAccess("task:update"),
+  timerValidation,
+  stopTimer
+);
+router.get(
+  "/:id/time-entries",
+  checkTaskAccess("task:read"),
+  paginationValidation,
+  getTimeEntries
+);
+router.post(
+  "/:id/time-entries",
+  checkTaskAccess("task:update"),
+  addTimeEntryValidation,
+  addTimeEntry
+);
+router.put(
+  "/:id/time-entries/:entryId",
+  checkTaskAccess("task:read"),
+  updateTimeEntryValidation,
+  updateTimeEntry
+);
+router.delete(
+  "/:id/time-entries/:entryId",
+  checkTaskAccess("task:read"),
+  deleteTimeEntry
+);
 
 // Subtasks
-router.put("/:id/subtasks/:subtaskId", checkTaskAccess, updateSubtask);
+router.post(
+  "/:id/subtasks",
+  checkTaskAccess("task:update"),
+  addSubtaskValidation,
+  addSubtask
+);
+router.put(
+  "/:id/subtasks",
+  checkTaskAccess("task:update"),
+  reorderSubtasksValidation,
+  reorderSubtasks
+);
+router.put(
+  "/:id/subtasks/:subtaskId",
+  checkTaskAccess("task:update"),
+  updateSubtaskValidation,
+  updateSubtask
+);
+router.delete(
+  "/:id/subtasks/:subtaskId",
+  checkTaskAccess("task:update"),
+  deleteSubtask
+);
+router.post(
+  "/:id/subtasks/:subtaskId/promote",
+  checkPermission("task:create"),
+  checkTaskAccess("task:update"),
+  promoteSubtask
+);
+
+// Dependencies
+router.get("/:id/dependencies", checkTaskAccess("task:read"), getDependencies);
+router.post(
+  "/:id/dependencies",
+  checkTaskAccess("task:update"),
+  addDependencyValidation,
+  addDependency
+);
+router.delete(
+  "/:id/dependencies/:dependencyId",
+  checkTaskAccess("task:update"),
+  removeDependency
+);
 
 export default router;
@@ -5,14 +5,15 @@ import {
   getUser,
   updateUser,
   deleteUser,
-  getUserStats
+  getUserStats,
+  unlockUser
 } from '../controllers/userController.js';
-import { protect, authorize } from '../middleware/auth.js';
+import { protect, checkPermission } from '../middleware/auth.js';
 
 const router = express.Router();
 
 // All routes are protected
-// router.use(protect);
+router.use(protect);
 
 // Query validation
 const getUsersValidation = [
@@ -34,13 +35,14 @@ const getUsersValidation = [
     .withMessage('Limit must be between 1 and 100')
 ];
 
-// Routes
-router.get('/', getUsersValidation, getUsers);
-router.get('/stats', authorize('admin'), getUserStats);
-router.get('/:id', getUser);
+// Routes (access rules live in utils/policy.js)
+router.get('/', checkPermission('user:read'), getUsersValidation, getUsers);
+router.get('/stats', checkPermission('user:manage'), getUserStats);
+router.get('/:id', checkPermission('user:read'), getUser);
 
 // Admin only routes
-router.put('/:id', authorize('admin'), updateUser);
-router.delete('/:id', authorize('admin'), deleteUser);
+router.put('/:id', checkPermission('user:manage'), updateUser);
+router.delete('/:id', checkPermission('user:manage'), deleteUser);
+router.post('/:id/unlock', checkPermission('user:manage'), unlockUser);
 
 export default router;
\ No newline at end of file
@@ -0,0 +1,112 @@
+import express from "express";
+import { body, param, query } from "express-validator";
+import {
+  getWebhooks,
+  getWebhook,
+  createWebhook,
+  updateWebhook,
+  deleteWebhook,
+  getWebhookDeliveries,
+  redeliverWebhookDelivery,
+} from "../controllers/webhookController.js";
+import { WEBHOOK_EVENTS } from "../models/Webhook.js";
+import { isPrivateUrl } from "../utils/webhooks.js";
+import { protect, checkPermission } from "../middleware/auth.js";
+
+const router = express.Router();
+
+// All routes are admin only
+router.use(protect, checkPermission("webhook:manage"));
+
+// Validation rules
+const webhookIdValidation = [
+  param("id").isMongoId().withMessage("Valid webhook ID is required"),
+];
+
+// Shared by create and update; update makes every field optional
+const webhookFieldValidation = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+
+  return [
+    field("url")
+      .trim()
+      .isURL({ protocols: ["http", "https"], require_protocol: true })
+      .withMessage("URL must be a valid http or https URL")
+      .bail()
+      .custom((url) => !isPrivateUrl(url))
+      .withMessage("URL cannot point to a local or private address"),
+    field("events")
+      .isArray({ min: 1 })
+      .withMessage("At least one event is required"),
+    body("events.*")
+      .isIn(WEBHOOK_EVENTS)
+      .withMessage(`Events must be among: ${WEBHOOK_EVENTS.join(", ")}`),
+    body("secret")
+      .optional()
+      .isString()
+      .isLength({ min: 16, max: 200 })
+      .withMessage("Secret must be between 16 and 200 characters"),
+    body("description")
+      .optional()
+      .trim()
+      .isLength({ max: 200 })
+      .withMessage("Description cannot be more than 200 characters"),
+    body("isActive")
+      .optional()
+      .isBoolean()
+      .withMessage("isActive must be a boolean")
+      .toBoolean(),
+  ];
+};
+
+const createWebhookValidation = webhookFieldValidation(false);
+
+const updateWebhookValidation = [
+  ...webhookIdValidation,
+  ...webhookFieldValidation(true),
+  body("rotateSecret")
+    .optional()
+    .isBoolean()
+    .withMessage("rotateSecret must be a boolean")
+    .toBoolean(),
+];
+
+const getDeliveriesValidation = [
+  ...webhookIdValidation,
+  query("status")
+    .optional()
+    .isIn(["pending", "succeeded", "failed"])
+    .withMessage("Status must be pending, succeeded or failed"),
+  query("event")
+    .optional()
+    .isIn(WEBHOOK_EVENTS)
+    .withMessage(`Event must be one of: ${WEBHOOK_EVENTS.join(", ")}`),
+  query("page")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Page must be a positive integer"),
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage("Limit must be between 1 and 100"),
+];
+
+const redeliverValidation = [
+  ...webhookIdValidation,
+  param("deliveryId").isMongoId().withMessage("Valid delivery ID is required"),
+];
+
+// Routes
+router.get("/", getWebhooks);
+router.post("/", createWebhookValidation, createWebhook);
+router.get("/:id", webhookIdValidation, getWebhook);
+router.put("/:id", updateWebhookValidation, updateWebhook);
+router.delete("/:id", webhookIdValidation, deleteWebhook);
+router.get("/:id/deliveries", getDeliveriesValidation, getWebhookDeliveries);
+router.post(
+  "/:id/deliveries/:deliveryId/redeliver",
+  redeliverValidation,
+  redeliverWebhookDelivery
+);
+
+export default router;
@@ -0,0 +1,94 @@
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import connectDB from "../config/db.js";
+import Board, { DEFAULT_COLUMNS } from "../models/Board.js";
+import Task from "../models/Task.js";
+import User from "../models/User.js";
+
+// One-off migration for databases created before tasks belonged to boards.
+// Tasks without a board are moved to a default board owned by the oldest
+// admin, with everyone who created or is assigned one of them as an editor,
+// so the tasks stay visible to the people who could see them before. Tasks
+// in the old "done" status are marked completed. Running it again only picks
+// up tasks that still have no board.
+//
+//   npm run migrate:orphaned-tasks
+
+const DEFAULT_BOARD_NAME = "General";
+
+// Tasks are updated directly in the collection: they fail validation until
+// they have a board, and trashed ones have to be included as well
+const tasks = Task.collection;
+
+const migrate = async () => {
+  const orphaned = { boardId: null };
+  const count = await tasks.countDocuments(orphaned);
+  if (count === 0) {
+    console.log("✅ Every task already belongs to a board");
+    return;
+  }
+
+  const owner = await User.findOne({ role: "admin" }).sort({ createdAt: 1 });
+  if (!owner) {
+    throw new Error("An admin user is needed to own the default board");
+  }
+
+  const [creators, assignees] = await Promise.all([
+    tasks.distinct("createdBy", orphaned),
+    tasks.distinct("assigneeId", orphaned),
+  ]);
+  const memberIds = [
+    ...new Set(
+      [...creators, ...assignees]
+        .filter(Boolean)
+        .map((id) => id.toString())
+        .filter((id) => id !== owner._id.toString())
+    ),
+  ];
+
+  const board = await Board.create({
+    name: DEFAULT_BOARD_NAME,
+    description: "Tasks created before boards were introduced",
+    owner: owner._id,
+    members: memberIds.map((id) => ({ user: id, role: "editor" })),
+  });
+  console.log(
+    `📋 Created board "${board.name}" (${board._id}) with ${
+      memberIds.length + 1
+    } members`
+  );
+
+  // Statuses that are not columns of the new board start over in its first
+  // column
+  const columnKeys = DEFAULT_COLUMNS.map((column) => column.key);
+  await tasks.updateMany(
+    { ...orphaned, status: { $nin: columnKeys } },
+    { $set: { status: columnKeys[0] } }
+  );
+
+  // Completion is now tracked by completedAt rather than the status
+  const doneKeys = DEFAULT_COLUMNS.filter((column) => column.isDone).map(
+    (column) => column.key
+  );
+  await tasks.updateMany(
+    { ...orphaned, status: { $in: doneKeys }, completedAt: null },
+    [{ $set: { completedAt: { $ifNull: ["$updatedAt", "$$NOW"] } } }]
+  );
+
+  const result = await tasks.updateMany(orphaned, {
+    $set: { boardId: board._id },
+  });
+  console.log(`✅ Moved ${result.modifiedCount} tasks to "${board.name}"`);
+};
+
+dotenv.config();
+await connectDB();
+
+try {
+  await migrate();
+} catch (error) {
+  console.error("❌ Migration failed:", error.message);
+  process.exitCode = 1;
+} finally {
+  await mongoose.connection.close();
+}
@@ -8,9 +8,18 @@ import dotenv from "dotenv";
 import connectDB from "./config/db.js";
 import authRoutes from "./routes/authRoutes.js";
 import taskRoutes from "./routes/taskRoutes.js";
+import boardRoutes from "./routes/boardRoutes.js";
 import userRoutes from "./routes/userRoutes.js";
+import notificationRoutes from "./routes/notificationRoutes.js";
+import settingRoutes from "./routes/settingRoutes.js";
+import webhookRoutes from "./routes/webhookRoutes.js";
+import importRoutes from "./routes/importRoutes.js";
 import { errorHandler } from "./middleware/errorHandler.js";
 import { setupSocketHandlers } from "./socket/socketHandlers.js";
+import { startReminderJob } from "./jobs/reminders.js";
+import { startTrashPurgeJob } from "./jobs/trashPurge.js";
+import { startRecurringTasksJob } from "./jobs/recurringTasks.js";
+import { startWebhookDeliveryJob } from "./jobs/webhookDeliveries.js";
 
 // Load environment variables
 dotenv.config();
@@ -58,8 +67,13 @@ app.use((req, res, next) => {
 
 // Routes
 app.use("/api/auth", authRoutes);
+app.use("/api/boards", boardRoutes);
 app.use("/api/tasks", taskRoutes);
 app.use("/api/users", userRoutes);
+app.use("/api/notifications", notificationRoutes);
+app.use("/api/settings", settingRoutes);
+app.use("/api/webhooks", webhookRoutes);
+app.use("/api/import", importRoutes);
 
 // Health check endpoint
 app.get("/api/health", (req, res) => {
@@ -88,6 +102,11 @@ setupSocketHandlers(io);
 const PORT = process.env.PORT || 5000;
 
 connectDB().then(() => {
+  startReminderJob(io);
+  startTrashPurgeJob();
+  startRecurringTasksJob(io);
+  startWebhookDeliveryJob();
+
   server.listen(PORT, () => {
     console.log(`🚀 Server running on port ${PORT}`);
     console.log(`📊 Environment: ${process.env.NODE_ENV}`);
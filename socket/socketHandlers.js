@@ -1,5 +1,10 @@
-import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
 import User from '../models/User.js';
+import Task from '../models/Task.js';
+import Board from '../models/Board.js';
+import { verifyAccessToken } from '../middleware/auth.js';
+import { can, authorizeTask } from '../utils/policy.js';
+import { emitTaskEvent, emitTasksEvent } from './taskEvents.js';
 
 // Socket authentication middleware
 const authenticateSocket = async (socket, next) => {
@@ -10,10 +15,10 @@ const authenticateSocket = async (socket, next) => {
       return next(new Error('Authentication error: No token provided'));
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await User.findById(decoded.id).select('-password');
+    const decoded = verifyAccessToken(token);
+    const user = await User.findById(decoded.userId).select('-password');
     
-    if (!user || !user.isActive) {
+    if (!user || !user.isActive || user.changedPasswordAfter(decoded.iat)) {
       return next(new Error('Authentication error: Invalid user'));
     }
 
@@ -24,6 +29,33 @@ const authenticateSocket = async (socket, next) => {
   }
 };
 
+// Register a handler that only runs when the socket's user may perform the
+// action on the event's task (see utils/policy.js). Events carry either the
+// task id or an object with a taskId.
+const onTaskEvent = (socket, event, action, handler) => {
+  socket.on(event, async (data) => {
+    const taskId = data && typeof data === 'object' ? data.taskId : data;
+
+    let result = { allowed: false };
+    try {
+      result = await authorizeTask(socket.user, action, taskId);
+    } catch (error) {
+      // Invalid task ids are treated like tasks the user cannot access
+    }
+
+    if (!result.allowed) {
+      socket.emit('accessDenied', {
+        event,
+        taskId,
+        message: 'Not authorized to access this task'
+      });
+      return;
+    }
+
+    handler(data, result.task);
+  });
+};
+
 // Setup Socket.IO event handlers
 export const setupSocketHandlers = (io) => {
   // Authentication middleware
@@ -39,9 +71,9 @@ export const setupSocketHandlers = (io) => {
     socket.join(`role_${socket.user.role}`);
 
     // Handle joining task-specific rooms
-    socket.on('joinTask', (taskId) => {
-      socket.join(`task_${taskId}`);
-      console.log(`📋 User ${socket.user.name} joined task ${taskId}`);
+    onTaskEvent(socket, 'joinTask', 'task:read', (data, task) => {
+      socket.join(`task_${task._id}`);
+      console.log(`📋 User ${socket.user.name} joined task ${task._id}`);
     });
 
     // Handle leaving task-specific rooms
@@ -50,49 +82,56 @@ export const setupSocketHandlers = (io) => {
       console.log(`📋 User ${socket.user.name} left task ${taskId}`);
     });
 
-    // Handle real-time task updates
-    socket.on('taskUpdate', (data) => {
-      // Broadcast to all users in the task room
-      socket.to(`task_${data.taskId}`).emit('taskUpdated', data);
-      
-      // Also broadcast to admins and vendors
-      socket.to('role_admin').emit('taskUpdated', data);
-      socket.to('role_vendor').emit('taskUpdated', data);
-    });
-
-    // Handle real-time comments
-    socket.on('newComment', (data) => {
-      // Broadcast to all users in the task room
-      socket.to(`task_${data.taskId}`).emit('commentAdded', {
-        taskId: data.taskId,
-        comment: {
-          ...data.comment,
-          author: socket.user.name,
-          authorId: socket.user._id,
-          authorRole: socket.user.role,
-          createdAt: new Date()
-        }
-      });
+    // Handle real-time comments. Comments are saved through the API; this
+    // announces a saved comment ({ taskId, commentId }) to the task room as
+    // it is stored, so unsaved comments never reach other clients.
+    onTaskEvent(socket, 'newComment', 'comment:create', async (data, task) => {
+      const comment = mongoose.isValidObjectId(data.commentId)
+        ? task.comments.id(data.commentId)
+        : null;
+      if (!comment || comment.isDeleted) return;
+
+      try {
+        await task.populate('comments.authorId', 'name email role');
+
+        // Broadcast to all users in the task room
+        await emitToTask(io, task, 'commentAdded', {
+          taskId: task._id,
+          comment
+        }, { exceptSocket: socket.id });
+      } catch (error) {
+        console.error(`Comment relay failed for ${socket.user.name}:`, error);
+      }
     });
 
     // Handle typing indicators for comments
-    socket.on('typing', (data) => {
-      socket.to(`task_${data.taskId}`).emit('userTyping', {
-        taskId: data.taskId,
-        user: {
-          id: socket.user._id,
-          name: socket.user.name
-        },
-        isTyping: data.isTyping
-      });
+    onTaskEvent(socket, 'typing', 'task:read', async (data, task) => {
+      try {
+        await emitToTask(io, task, 'userTyping', {
+          taskId: task._id,
+          user: {
+            id: socket.user._id,
+            name: socket.user.name
+          },
+          isTyping: Boolean(data.isTyping)
+        }, { exceptSocket: socket.id });
+      } catch (error) {
+        console.error(`Typing relay failed for ${socket.user.name}:`, error);
+      }
     });
 
-    // Handle task status changes
-    socket.on('statusChange', (data) => {
-      // Broadcast to all relevant users
-      socket.to(`task_${data.taskId}`).emit('taskStatusChanged', data);
-      socket.to('role_admin').emit('taskStatusChanged', data);
-      socket.to('role_vendor').emit('taskStatusChanged', data);
+    // Handle task status changes. Statuses change through the API, which
+    // checks them against the board's columns; this announces the stored
+    // status, whatever the client sent.
+    onTaskEvent(socket, 'statusChange', 'task:update', (data, task) => {
+      // Broadcast to everyone who can see the task
+      emitTaskEvent(io, task, 'taskStatusChanged', {
+        taskId: task._id,
+        status: task.status,
+        completedAt: task.completedAt
+      }, {
+        exceptSocket: socket.id
+      });
     });
 
     // Handle user presence
@@ -104,36 +143,34 @@ export const setupSocketHandlers = (io) => {
       });
     });
 
-    // Handle notifications
-    socket.on('sendNotification', (data) => {
-      // Send notification to specific user
-      if (data.targetUserId) {
-        socket.to(`user_${data.targetUserId}`).emit('notification', {
-          type: data.type,
-          message: data.message,
-          from: socket.user.name,
-          timestamp: new Date()
+    // Handle bulk operations
+    socket.on('bulkOperation', async (data) => {
+      if (!can(socket.user, 'task:bulkUpdate')) {
+        socket.emit('accessDenied', {
+          event: 'bulkOperation',
+          message: 'Not authorized to perform bulk operations'
         });
+        return;
       }
-    });
 
-    // Handle bulk operations
-    socket.on('bulkOperation', (data) => {
-      // Broadcast bulk operations to admins and vendors
-      socket.to('role_admin').emit('bulkOperationPerformed', {
-        operation: data.operation,
-        taskIds: data.taskIds,
-        performedBy: socket.user.name,
-        timestamp: new Date()
-      });
-      
-      if (socket.user.role !== 'admin') {
-        socket.to('role_vendor').emit('bulkOperationPerformed', {
+      const taskIds = (Array.isArray(data?.taskIds) ? data.taskIds : []).filter(
+        (id) => mongoose.isValidObjectId(id)
+      );
+
+      try {
+        const tasks = await Task.find({ _id: { $in: taskIds } }).select(
+          'boardId assigneeId createdBy'
+        );
+
+        // Each user only hears about the tasks they can see
+        await emitTasksEvent(io, tasks, 'bulkOperationPerformed', (role, visible) => ({
           operation: data.operation,
-          taskIds: data.taskIds,
+          taskIds: visible.map((task) => task._id),
           performedBy: socket.user.name,
           timestamp: new Date()
-        });
+        }));
+      } catch (error) {
+        console.error(`Bulk operation relay failed for ${socket.user.name}:`, error);
       }
     });
 
@@ -183,7 +220,24 @@ export const emitToRole = (io, role, event, data) => {
   io.to(`role_${role}`).emit(event, data);
 };
 
-// Helper function to emit to task participants
-export const emitToTask = (io, taskId, event, data) => {
-  io.to(`task_${taskId}`).emit(event, data);
+// Helper function to emit to the sockets in a task's room. Sockets stay in
+// the room when their user later loses access to the task (for example when
+// removed from its board), so access is checked again on every emit and
+// sockets that no longer pass are taken out of the room.
+export const emitToTask = async (io, task, event, data, { exceptSocket } = {}) => {
+  const room = `task_${task._id}`;
+  const [board, sockets] = await Promise.all([
+    Board.findById(task.boardId),
+    io.in(room).fetchSockets()
+  ]);
+
+  for (const member of sockets) {
+    if (member.id === exceptSocket) continue;
+
+    if (can(member.user, 'task:read', task, { board })) {
+      member.emit(event, data);
+    } else {
+      member.leave(room);
+    }
+  }
 };
\ No newline at end of file
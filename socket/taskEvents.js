@@ -0,0 +1,115 @@
+import Board from "../models/Board.js";
+import { can } from "../utils/policy.js";
+
+// Task fields left out of socket payloads, by recipient role. Comments have
+// their own events and are fetched through the comment routes.
+const HIDDEN_TASK_FIELDS = {
+  admin: ["comments"],
+  vendor: ["comments", "deletedBy"],
+  customer: ["comments", "deletedBy", "archivedBy"],
+};
+
+// Serialise a task for a socket recipient with the given role
+export const taskPayload = (task, role) => {
+  const data = typeof task.toJSON === "function" ? task.toJSON() : { ...task };
+  const hidden = HIDDEN_TASK_FIELDS[role] || HIDDEN_TASK_FIELDS.customer;
+  hidden.forEach((field) => delete data[field]);
+  return data;
+};
+
+// Load the boards of the given tasks with their members' roles, by board id
+const loadBoards = async (tasks) => {
+  const boardIds = [...new Set(tasks.map((task) => task.boardId.toString()))];
+  const boards = await Board.find({ _id: { $in: boardIds } }).populate(
+    "members.user",
+    "role isActive"
+  );
+  return new Map(boards.map((board) => [board._id.toString(), board]));
+};
+
+// Non-admin board members who can read the task. Admins are reached through
+// the role_admin room instead.
+const getMemberAudience = (task, board) => {
+  if (!board) return [];
+
+  return board.members
+    .map((member) => member.user)
+    .filter(
+      (user) =>
+        user &&
+        user.isActive &&
+        user.role !== "admin" &&
+        can(user, "task:read", task, { board })
+    );
+};
+
+const resolvePayload = (data, role, ...args) =>
+  typeof data === "function" ? data(role, ...args) : data;
+
+// Send an event about a task to every user allowed to see it. `data` is the
+// payload, or a function of the recipient's role returning it. Pass
+// `exceptSocket` to leave out the socket that triggered the event.
+export const emitTaskEvent = async (
+  io,
+  task,
+  event,
+  data,
+  { exceptSocket } = {}
+) => {
+  if (!io || !task) return;
+
+  try {
+    const boards = await loadBoards([task]);
+    const audience = getMemberAudience(
+      task,
+      boards.get(task.boardId.toString())
+    );
+
+    const target = (rooms) =>
+      exceptSocket ? io.to(rooms).except(exceptSocket) : io.to(rooms);
+
+    target("role_admin").emit(event, resolvePayload(data, "admin"));
+
+    for (const role of ["vendor", "customer"]) {
+      const rooms = audience
+        .filter((user) => user.role === role)
+        .map((user) => `user_${user._id}`);
+      if (rooms.length > 0) {
+        target(rooms).emit(event, resolvePayload(data, role));
+      }
+    }
+  } catch (error) {
+    // Real-time delivery must not fail the request that caused it
+    console.error(`Failed to emit ${event}:`, error);
+  }
+};
+
+// Send an event about several tasks. Each recipient only hears about the
+// tasks they can see: `data` is called with the recipient's role and those
+// tasks, and nothing is sent to users who can see none of them.
+export const emitTasksEvent = async (io, tasks, event, data) => {
+  if (!io || tasks.length === 0) return;
+
+  try {
+    const boards = await loadBoards(tasks);
+    const visible = new Map();
+
+    for (const task of tasks) {
+      const board = boards.get(task.boardId.toString());
+      for (const user of getMemberAudience(task, board)) {
+        const id = user._id.toString();
+        if (!visible.has(id)) visible.set(id, { role: user.role, tasks: [] });
+        visible.get(id).tasks.push(task);
+      }
+    }
+
+    io.to("role_admin").emit(event, data("admin", tasks));
+
+    visible.forEach(({ role, tasks: userTasks }, userId) => {
+      io.to(`user_${userId}`).emit(event, data(role, userTasks));
+    });
+  } catch (error) {
+    // Real-time delivery must not fail the request that caused it
+    console.error(`Failed to emit ${event}:`, error);
+  }
+};
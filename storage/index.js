@@ -0,0 +1,47 @@
+import getStorageConfig from "../config/storage.js";
+import { createLocalDiskAdapter } from "./localDiskAdapter.js";
+
+// Available storage adapters. An adapter provides:
+//   save({ buffer, originalName, mimetype, prefix }) -> { key, size }
+//   createReadStream(key) -> Readable
+//   remove(key) -> Promise
+const adapters = {
+  local: (config) => createLocalDiskAdapter({ rootDir: config.localDir }),
+};
+
+let storage = null;
+
+// Register an additional storage adapter factory (e.g. S3) by name. The
+// factory receives the storage config and returns an adapter.
+export const registerStorageAdapter = (name, factory) => {
+  adapters[name] = factory;
+};
+
+// Get the configured storage adapter
+export const getStorage = () => {
+  if (!storage) {
+    const config = getStorageConfig();
+    const factory = adapters[config.driver];
+    if (!factory) {
+      throw new Error(`Unknown attachment storage: ${config.driver}`);
+    }
+    storage = factory(config);
+  }
+  return storage;
+};
+
+// Remove the stored attachment files of tasks that are being deleted
+export const removeTaskAttachmentFiles = async (tasks) => {
+  const storage = getStorage();
+  const keys = tasks.flatMap((task) =>
+    task.attachments.map((attachment) => attachment.filename)
+  );
+
+  await Promise.all(
+    keys.map((key) =>
+      storage.remove(key).catch((error) => {
+        console.error(`Failed to remove attachment ${key}:`, error.message);
+      })
+    )
+  );
+};
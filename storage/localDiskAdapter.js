@@ -0,0 +1,49 @@
+import fs from "fs";
+import path from "path";
+import { randomUUID } from "crypto";
+
+// Storage adapter that keeps attachments on the local file system
+export const createLocalDiskAdapter = ({ rootDir }) => {
+  const root = path.resolve(rootDir);
+
+  // Resolve a storage key to a path, refusing keys that escape the root
+  const resolveKey = (key) => {
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(root + path.sep)) {
+      throw new Error("Invalid storage key");
+    }
+    return filePath;
+  };
+
+  return {
+    name: "local",
+
+    // Store a file and return its storage key
+    async save({ buffer, originalName, prefix = "" }) {
+      const key = path.posix.join(
+        prefix,
+        `${randomUUID()}${path.extname(originalName || "").toLowerCase()}`
+      );
+      const filePath = resolveKey(key);
+
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, buffer);
+
+      return { key, size: buffer.length };
+    },
+
+    // Open a readable stream for a stored file
+    createReadStream(key) {
+      return fs.createReadStream(resolveKey(key));
+    },
+
+    // Remove a stored file; missing files are ignored
+    async remove(key) {
+      try {
+        await fs.promises.unlink(resolveKey(key));
+      } catch (error) {
+        if (error.code !== "ENOENT") throw error;
+      }
+    },
+  };
+};
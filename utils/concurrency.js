@@ -0,0 +1,59 @@
+// Optimistic concurrency for tasks and subtasks. Clients send the version
+// they last saw, either as an `If-Match` header holding the ETag or as a
+// `version` field in the body. Fields someone else changed since then are
+// conflicts; any other changes are merged onto the current state.
+
+// ETag for a versioned document
+export const getETag = (doc) => `"${doc.version}"`;
+
+// Version the client based its changes on: null when it did not send one
+// (last write wins), NaN when it sent one that cannot be read
+export const getExpectedVersion = (req) => {
+  const ifMatch = req.get("If-Match");
+  if (ifMatch && ifMatch.trim() !== "*") {
+    const match = /^(?:W\/)?"(\d+)"$/.exec(ifMatch.trim());
+    return match ? Number(match[1]) : NaN;
+  }
+
+  if (req.body?.version !== undefined && req.body.version !== null) {
+    return Number.isInteger(Number(req.body.version))
+      ? Number(req.body.version)
+      : NaN;
+  }
+
+  return null;
+};
+
+// Fields of `doc` with unsaved changes that conflict with edits made after
+// `expectedVersion`, with both values. Call after applying the changes and
+// before saving; `current` is the document's JSON from before the changes.
+export const findConflicts = (doc, expectedVersion, fields, current) => {
+  if (expectedVersion === null) return [];
+
+  return doc.getConflicts(expectedVersion, fields).map((field) => ({
+    field,
+    yourValue: doc.get(field),
+    currentValue: current[field],
+  }));
+};
+
+// Send a 400 for an unreadable If-Match header or version
+export const sendInvalidVersion = (res) =>
+  res.status(400).json({
+    success: false,
+    message: "If-Match must be an ETag and version must be an integer",
+  });
+
+// Send a 409 with the current server state and the conflicting fields
+export const sendConflict = (res, current, conflicts, message) =>
+  res
+    .status(409)
+    .set("ETag", `"${current.version}"`)
+    .json({
+      success: false,
+      message:
+        message ||
+        "Someone else changed these fields in the meantime. Review the current values and try again.",
+      conflicts,
+      data: current,
+    });
@@ -0,0 +1,82 @@
+import Task from "../models/Task.js";
+import TaskDependency from "../models/TaskDependency.js";
+import { getAccessFilter } from "./policy.js";
+import { notifyTaskFollowers } from "./notifications.js";
+
+// Task fields shown for each task in a dependency graph
+const GRAPH_TASK_FIELDS = "title status boardId assigneeId completedAt";
+
+// Build the dependency graph around a task as the user may see it: the
+// tasks it is linked to (blockers and blocked tasks through whole chains,
+// related tasks directly) and the links between them. Tasks the user cannot
+// read are left out together with their links.
+export const getDependencyGraph = async (user, task) => {
+  const { taskIds, links } = await TaskDependency.getGraph(task._id);
+
+  const tasks = await Task.find({
+    _id: { $in: taskIds },
+    ...(await getAccessFilter(user, "task:read")),
+  }).select(GRAPH_TASK_FIELDS);
+  const visible = new Set(tasks.map((graphTask) => graphTask._id.toString()));
+  visible.add(task._id.toString());
+
+  const edges = links
+    .filter(
+      (link) =>
+        visible.has(link.fromTask.toString()) &&
+        visible.has(link.toTask.toString())
+    )
+    .map((link) => ({
+      _id: link._id,
+      from: link.fromTask,
+      to: link.toTask,
+      type: link.type,
+    }));
+
+  const isTask = (id) => id.toString() === task._id.toString();
+
+  return {
+    blockedBy: edges
+      .filter((edge) => edge.type === "blocks" && isTask(edge.to))
+      .map((edge) => edge.from.toString()),
+    blocks: edges
+      .filter((edge) => edge.type === "blocks" && isTask(edge.from))
+      .map((edge) => edge.to.toString()),
+    relatesTo: edges
+      .filter(
+        (edge) =>
+          edge.type === "relatesTo" && (isTask(edge.from) || isTask(edge.to))
+      )
+      .map((edge) => (isTask(edge.from) ? edge.to : edge.from).toString()),
+    // Blockers the user cannot see still count
+    isBlocked: (await task.findOpenBlockers()).length > 0,
+    nodes: tasks.filter((graphTask) => !isTask(graphTask._id)),
+    edges,
+  };
+};
+
+// Notify the assignee and creator of every task that `task` was the last
+// open blocker of. Call after the task is completed.
+export const notifyUnblockedTasks = async (io, task, actor) => {
+  const links = await TaskDependency.find({
+    fromTask: task._id,
+    type: "blocks",
+  }).select("toTask");
+  if (links.length === 0) return;
+
+  const blockedTasks = await Task.find({
+    _id: { $in: links.map((link) => link.toTask) },
+    completedAt: null,
+  });
+
+  for (const blockedTask of blockedTasks) {
+    const openBlockers = await blockedTask.findOpenBlockers();
+    if (openBlockers.length > 0) continue;
+
+    await notifyTaskFollowers(io, blockedTask, {
+      type: "unblocked",
+      message: `"${blockedTask.title}" is no longer blocked: "${task.title}" was completed`,
+      actor,
+    });
+  }
+};
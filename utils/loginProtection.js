@@ -0,0 +1,120 @@
+import LoginThrottle from "../models/LoginThrottle.js";
+import SecurityEvent from "../models/SecurityEvent.js";
+import getLoginProtectionConfig from "../config/loginProtection.js";
+
+const MINUTE = 60 * 1000;
+
+const emailKey = (email) => `email:${email.toLowerCase()}`;
+const ipKey = (ip) => `ip:${ip}`;
+
+// Seconds until a throttle record allows another attempt, or 0
+const secondsUntilAllowed = (throttle, config, now) => {
+  if (!throttle) return 0;
+
+  if (throttle.lockedUntil && throttle.lockedUntil > now) {
+    return Math.ceil((throttle.lockedUntil - now) / 1000);
+  }
+
+  // Progressive delay: each failure doubles the wait before the next attempt
+  if (throttle.failures > 0 && throttle.lastFailureAt) {
+    const delaySeconds = Math.min(
+      config.baseDelaySeconds * 2 ** (throttle.failures - 1),
+      config.maxDelaySeconds
+    );
+    const allowedAt = throttle.lastFailureAt.getTime() + delaySeconds * 1000;
+    return Math.max(0, Math.ceil((allowedAt - now) / 1000));
+  }
+
+  return 0;
+};
+
+// Check whether a login for the email may be attempted from the IP.
+// Returns the number of seconds to wait, or 0 when the attempt is allowed.
+export const getLoginRetryAfter = async ({ email, ip }) => {
+  const config = getLoginProtectionConfig();
+  const now = Date.now();
+  const throttles = await LoginThrottle.find({
+    key: { $in: [emailKey(email), ipKey(ip)] },
+  });
+
+  return Math.max(
+    0,
+    ...throttles.map((throttle) => secondsUntilAllowed(throttle, config, now))
+  );
+};
+
+// Count a failed attempt against one key, locking it once it reaches max.
+// Returns true when this failure caused a new lockout.
+const countFailure = async (key, max, config) => {
+  const now = new Date();
+  const forgetBefore = new Date(now.getTime() - config.lockoutMinutes * MINUTE);
+
+  // Failures older than the window no longer count
+  await LoginThrottle.deleteOne({
+    key,
+    lastFailureAt: { $lt: forgetBefore },
+    $or: [{ lockedUntil: null }, { lockedUntil: { $lt: now } }],
+  });
+
+  const increment = () =>
+    LoginThrottle.findOneAndUpdate(
+      { key },
+      {
+        $inc: { failures: 1 },
+        $set: {
+          lastFailureAt: now,
+          expiresAt: new Date(now.getTime() + config.lockoutMinutes * MINUTE),
+        },
+      },
+      { upsert: true, new: true }
+    );
+
+  let throttle;
+  try {
+    throttle = await increment();
+  } catch (error) {
+    // A concurrent failure inserted the key first; count against its record
+    if (error.code !== 11000) throw error;
+    throttle = await increment();
+  }
+
+  if (throttle.failures < max) return false;
+
+  // Only the failure that crosses the threshold starts the lockout
+  const locked = await LoginThrottle.findOneAndUpdate(
+    {
+      _id: throttle._id,
+      $or: [{ lockedUntil: null }, { lockedUntil: { $lt: now } }],
+    },
+    {
+      lockedUntil: new Date(now.getTime() + config.lockoutMinutes * MINUTE),
+    },
+    { new: true }
+  );
+  return Boolean(locked);
+};
+
+// Record a failed login for the email and IP, locking either one that has
+// failed too often and logging the lockout
+export const recordLoginFailure = async ({ email, ip, user, userAgent }) => {
+  const config = getLoginProtectionConfig();
+  const event = {
+    email: email.toLowerCase(),
+    user: user ? user._id : null,
+    ip,
+    userAgent,
+    details: { lockoutMinutes: config.lockoutMinutes },
+  };
+
+  if (await countFailure(emailKey(email), config.maxAccountFailures, config)) {
+    await SecurityEvent.record({ ...event, type: "account_locked" });
+  }
+  if (await countFailure(ipKey(ip), config.maxIpFailures, config)) {
+    await SecurityEvent.record({ ...event, type: "ip_locked" });
+  }
+};
+
+// Forget failed logins for an email address, after a successful login or
+// when an admin unlocks the account
+export const clearLoginFailures = (email) =>
+  LoginThrottle.deleteOne({ key: emailKey(email) });
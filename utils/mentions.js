@@ -0,0 +1,121 @@
+import User from "../models/User.js";
+import Board from "../models/Board.js";
+import { can } from "./policy.js";
+import { notifyUsers } from "./notifications.js";
+
+// Matches @user@example.com or @name (names written without spaces, e.g.
+// @JaneDoe, @jane.doe or @jane_doe)
+const MENTION_PATTERN =
+  /(^|[^\w@])@([\w.+-]+@[\w-]+(?:\.[\w-]+)+|[\w][\w.-]*[\w]|[\w])/g;
+
+// Compare names ignoring case, spaces and punctuation
+const normalizeName = (name) => name.toLowerCase().replace(/[^a-z0-9]/g, "");
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Get the unique mention tokens in a piece of text
+export const extractMentionTokens = (text = "") => {
+  const tokens = new Set();
+  for (const match of text.matchAll(MENTION_PATTERN)) {
+    tokens.add(match[2]);
+  }
+  return [...tokens];
+};
+
+// Resolve the @mentions in text to users who can access the task.
+// Returns the resolved mentions and a warning for every token that is
+// unknown, ambiguous or names a user without access to the task.
+export const resolveMentions = async (text, task) => {
+  const tokens = extractMentionTokens(text);
+  const mentions = [];
+  const warnings = [];
+
+  if (tokens.length === 0) {
+    return { mentions, warnings };
+  }
+
+  const board = await Board.findById(task.boardId);
+
+  for (const token of tokens) {
+    let candidates;
+
+    if (token.includes("@")) {
+      candidates = await User.find({
+        email: token.toLowerCase(),
+        isActive: true,
+      });
+    } else {
+      // Let separators in the token stand for spaces or punctuation in the name
+      const pattern = token
+        .split(/[._-]+/)
+        .map(escapeRegex)
+        .join("[\\s._-]*");
+      candidates = (
+        await User.find({
+          name: new RegExp(`^\\s*${pattern}\\s*$`, "i"),
+          isActive: true,
+        })
+      ).filter((user) => normalizeName(user.name) === normalizeName(token));
+
+      // Fall back to names typed without any separators, e.g. @janedoe
+      if (candidates.length === 0 && board) {
+        const members = await User.find({
+          _id: { $in: board.members.map((member) => member.user) },
+          isActive: true,
+        });
+        candidates = members.filter(
+          (user) => normalizeName(user.name) === normalizeName(token)
+        );
+      }
+    }
+
+    if (candidates.length === 0) {
+      warnings.push({ token, reason: "unknown" });
+      continue;
+    }
+
+    const allowed = candidates.filter((user) =>
+      can(user, "task:read", task, { board })
+    );
+
+    if (allowed.length === 0) {
+      warnings.push({ token, reason: "not_authorized" });
+    } else if (allowed.length > 1) {
+      warnings.push({ token, reason: "ambiguous" });
+    } else {
+      const [user] = allowed;
+      if (!mentions.some((mention) => mention.userId.equals(user._id))) {
+        mentions.push({ userId: user._id, name: user.name, token });
+      }
+    }
+  }
+
+  return { mentions, warnings };
+};
+
+// Notify mentioned users, skipping the author and anyone in alreadyNotified
+export const notifyMentions = (
+  io,
+  mentions,
+  { task, from, commentId = null, alreadyNotified = [] }
+) => {
+  const skip = new Set(
+    alreadyNotified.map((mention) => mention.userId.toString())
+  );
+
+  return notifyUsers(
+    io,
+    mentions
+      .filter((mention) => !skip.has(mention.userId.toString()))
+      .map((mention) => mention.userId),
+    {
+      type: "mention",
+      message: commentId
+        ? `${from.name} mentioned you in a comment on "${task.title}"`
+        : `${from.name} mentioned you in "${task.title}"`,
+      task,
+      commentId,
+      actor: from,
+    }
+  );
+};
@@ -0,0 +1,55 @@
+import Notification from "../models/Notification.js";
+import { emitToUser } from "../socket/socketHandlers.js";
+
+const toId = (value) => (value?._id || value)?.toString();
+
+// Store a notification for each recipient and push it live to their
+// user_<id> room. The actor, anyone in exclude and duplicate recipients
+// are skipped.
+export const notifyUsers = async (
+  io,
+  recipients,
+  { type, message, task = null, commentId = null, actor = null, exclude = [] }
+) => {
+  const skip = new Set([toId(actor), ...exclude.map(toId)]);
+  const recipientIds = [
+    ...new Set(recipients.filter(Boolean).map(toId)),
+  ].filter((id) => !skip.has(id));
+
+  if (recipientIds.length === 0) return [];
+
+  const notifications = await Notification.insertMany(
+    recipientIds.map((recipient) => ({
+      recipient,
+      type,
+      message,
+      taskId: task ? task._id : null,
+      commentId,
+      actor: actor ? actor._id : null,
+      actorName: actor ? actor.name : null,
+    }))
+  );
+
+  if (io) {
+    await Promise.all(
+      notifications.map(async (notification) => {
+        const unreadCount = await Notification.countUnread(
+          notification.recipient
+        );
+        emitToUser(io, notification.recipient, "notification", {
+          ...notification.toJSON(),
+          unreadCount,
+        });
+      })
+    );
+  }
+
+  return notifications;
+};
+
+// Notify the people who follow a task (assignee and creator)
+export const notifyTaskFollowers = (io, task, notification, extra = []) =>
+  notifyUsers(io, [task.assigneeId, task.createdBy, ...extra], {
+    ...notification,
+    task,
+  });
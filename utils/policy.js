@@ -0,0 +1,227 @@
+import Task from "../models/Task.js";
+import Board from "../models/Board.js";
+
+// Central permission policy. Every access rule lives here, so routes,
+// controllers and socket handlers all answer "can this user do X" the same
+// way:
+//
+//   can(user, action)                   - does the user's role allow X at all
+//   can(user, action, record, context)  - can the user do X to this record
+//   getAccessFilter(user, action)       - query filter for the records the
+//                                         user can do X to
+//
+// Task and comment rules need the task's board as `context.board`; rules for
+// records inside a task (comments, attachments, history and time entries)
+// also need the task as `context.task`.
+
+const ALL_ROLES = ["admin", "vendor", "customer"];
+
+// Filter that matches nothing
+const NO_RECORDS = { _id: { $in: [] } };
+
+const isAdmin = (user) => user.role === "admin";
+
+const isSameUser = (user, ref) =>
+  Boolean(ref) && (ref._id || ref).toString() === user._id.toString();
+
+// Vendors see tasks they created or are assigned to, customers only tasks
+// assigned to them
+const isTaskParticipant = (user, task) => {
+  if (user.role === "vendor") {
+    return (
+      isSameUser(user, task.createdBy) || isSameUser(user, task.assigneeId)
+    );
+  }
+  if (user.role === "customer") {
+    return isSameUser(user, task.assigneeId);
+  }
+  return false;
+};
+
+const canReadTask = (user, task, { board } = {}) =>
+  isAdmin(user) ||
+  (Boolean(board) && board.isMember(user._id) && isTaskParticipant(user, task));
+
+// Board viewers have read-only access
+const canEditTask = (user, task, context = {}) =>
+  canReadTask(user, task, context) &&
+  (isAdmin(user) || context.board.getMemberRole(user._id) !== "viewer");
+
+// Time entries can be changed by their owner and by admins
+const canManageTimeEntry = (user, entry, context) =>
+  canEditTask(user, context.task, context) &&
+  (isAdmin(user) || isSameUser(user, entry.user));
+
+// Task query filter: tasks on the user's boards (optionally only boards where
+// they have one of `boardRoles`) that they take part in
+const getTaskFilter = async (user, boardRoles) => {
+  if (isAdmin(user)) return {};
+
+  const boardIds = await Board.findIdsForMember(user._id, boardRoles);
+  const participant =
+    user.role === "vendor"
+      ? { $or: [{ assigneeId: user._id }, { createdBy: user._id }] }
+      : { assigneeId: user._id };
+
+  // Wrapped in $and so callers can add their own $or and assigneeId filters
+  return { $and: [{ boardId: { $in: boardIds } }, participant] };
+};
+
+// Each action lists the roles allowed to perform it, and optionally a
+// record-level check and a query filter
+const rules = {
+  "task:read": {
+    roles: ALL_ROLES,
+    check: canReadTask,
+    filter: (user) => getTaskFilter(user),
+  },
+  // The record is the board the task is created on
+  "task:create": {
+    roles: ["admin", "vendor"],
+    check: (user, board) => board.canEditTasks(user),
+  },
+  "task:update": {
+    roles: ALL_ROLES,
+    check: canEditTask,
+    filter: (user) => getTaskFilter(user, ["owner", "editor"]),
+  },
+  "task:bulkUpdate": {
+    roles: ["admin", "vendor"],
+    check: canEditTask,
+    filter: (user) => getTaskFilter(user, ["owner", "editor"]),
+  },
+  "task:delete": {
+    roles: ["admin"],
+    check: canEditTask,
+    filter: (user) => getTaskFilter(user, ["owner", "editor"]),
+  },
+  // Covers viewing the trash as well as restoring from it
+  "task:restore": {
+    roles: ["admin"],
+  },
+  // Moving a task to a done column while it has open blockers
+  "task:overrideBlockers": {
+    roles: ["admin"],
+  },
+
+  // The record is the task being commented on
+  "comment:create": {
+    roles: ALL_ROLES,
+    check: canEditTask,
+  },
+  // The record is the task the reacted-to comment is on
+  "comment:react": {
+    roles: ALL_ROLES,
+    check: canEditTask,
+  },
+  // Only the author can edit a comment, not even admins
+  "comment:update": {
+    roles: ALL_ROLES,
+    check: (user, comment, context) =>
+      canEditTask(user, context.task, context) &&
+      isSameUser(user, comment.authorId),
+  },
+  "comment:delete": {
+    roles: ALL_ROLES,
+    check: (user, comment, context) =>
+      canEditTask(user, context.task, context) &&
+      (isAdmin(user) || isSameUser(user, comment.authorId)),
+  },
+
+  "attachment:delete": {
+    roles: ALL_ROLES,
+    check: (user, attachment, context) =>
+      canEditTask(user, context.task, context) &&
+      (isAdmin(user) ||
+        isSameUser(user, context.task.createdBy) ||
+        isSameUser(user, attachment.uploadedBy)),
+  },
+
+  "history:revert": {
+    roles: ALL_ROLES,
+    check: (user, entry, context) =>
+      canEditTask(user, context.task, context) &&
+      (isAdmin(user) ||
+        isSameUser(user, context.task.createdBy) ||
+        isSameUser(user, entry.user)),
+  },
+
+  "timeEntry:update": {
+    roles: ALL_ROLES,
+    check: canManageTimeEntry,
+  },
+  "timeEntry:delete": {
+    roles: ALL_ROLES,
+    check: canManageTimeEntry,
+  },
+
+  "board:read": {
+    roles: ALL_ROLES,
+    check: (user, board) => isAdmin(user) || board.isMember(user._id),
+    filter: (user) => (isAdmin(user) ? {} : { "members.user": user._id }),
+  },
+  "board:create": {
+    roles: ["admin", "vendor"],
+  },
+  // Covers board settings, members and columns
+  "board:update": {
+    roles: ALL_ROLES,
+    check: (user, board) =>
+      isAdmin(user) || board.getMemberRole(user._id) === "owner",
+  },
+  "board:delete": {
+    roles: ALL_ROLES,
+    check: (user, board) =>
+      isAdmin(user) || board.getMemberRole(user._id) === "owner",
+  },
+
+  "user:read": {
+    roles: ALL_ROLES,
+  },
+  // Changing, deactivating or unlocking accounts and viewing user statistics
+  "user:manage": {
+    roles: ["admin"],
+  },
+
+  "setting:manage": {
+    roles: ["admin"],
+  },
+  "webhook:manage": {
+    roles: ["admin"],
+  },
+};
+
+export const ACTIONS = Object.keys(rules);
+
+const getRule = (action) => {
+  const rule = rules[action];
+  if (!rule) throw new Error(`Unknown permission action: ${action}`);
+  return rule;
+};
+
+// Check whether a user may perform an action, on a record when one is given
+export const can = (user, action, record, context = {}) => {
+  const rule = getRule(action);
+
+  if (!user || !rule.roles.includes(user.role)) return false;
+  if (record === undefined || !rule.check) return true;
+  return rule.check(user, record, context);
+};
+
+// Build a query filter matching the records a user may perform an action on
+export const getAccessFilter = async (user, action) => {
+  const rule = getRule(action);
+
+  if (!user || !rule.roles.includes(user.role)) return NO_RECORDS;
+  return rule.filter ? rule.filter(user) : {};
+};
+
+// Load a task and its board and check an action on it. `task` is null when
+// the task does not exist.
+export const authorizeTask = async (user, action, taskId) => {
+  const task = await Task.findById(taskId);
+  if (!task) return { task: null, board: null, allowed: false };
+
+  const board = await Board.findById(task.boardId);
+  return { task, board, allowed: can(user, action, task, { board }) };
+};
@@ -0,0 +1,185 @@
+// Recurrence rules for repeating tasks. A rule repeats daily, weekly on
+// certain weekdays or monthly on a day of the month, every `interval`
+// periods, optionally until a date. Rules can be given as fields or as a
+// subset of iCalendar RRULE (FREQ, INTERVAL, BYDAY, BYMONTHDAY and UNTIL).
+// Dates are computed in UTC and keep the time of day of the due date.
+
+export const FREQUENCIES = ["daily", "weekly", "monthly"];
+
+// Weekday codes as used by RRULE, indexed like Date#getUTCDay
+export const WEEKDAYS = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"];
+
+const DAY = 24 * 60 * 60 * 1000;
+const WEEK = 7 * DAY;
+
+// Weeks start on Monday, as in RRULE; 5 January 1970 was a Monday
+const FIRST_MONDAY = Date.UTC(1970, 0, 5);
+
+const weekIndex = (date) => Math.floor((date.getTime() - FIRST_MONDAY) / WEEK);
+
+const daysInMonth = (year, month) =>
+  new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+// Parse an RRULE string such as "FREQ=WEEKLY;BYDAY=MO,WE" into rule fields.
+// Returns { error } when it uses parts that are not supported.
+const parseRRule = (rrule) => {
+  const fields = {};
+  const parts = rrule
+    .trim()
+    .replace(/^RRULE:/i, "")
+    .split(";");
+
+  for (const part of parts.filter(Boolean)) {
+    const [name, value = ""] = part.split("=");
+    switch (name.toUpperCase()) {
+      case "FREQ":
+        fields.frequency = value.toLowerCase();
+        break;
+      case "INTERVAL":
+        fields.interval = Number(value);
+        break;
+      case "BYDAY":
+        fields.weekdays = value.toUpperCase().split(",");
+        break;
+      case "BYMONTHDAY":
+        fields.monthDay = Number(value);
+        break;
+      case "UNTIL": {
+        const match =
+          /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/.exec(value);
+        if (!match) return { error: `Invalid UNTIL date: ${value}` };
+        // A date without a time means the end of that day
+        const [, year, month, day, hour = 23, minute = 59, second = 59] =
+          match.map((part) => (part === undefined ? undefined : Number(part)));
+        fields.until = new Date(
+          Date.UTC(year, month - 1, day, hour, minute, second)
+        );
+        break;
+      }
+      default:
+        return { error: `Unsupported RRULE part: ${name}` };
+    }
+  }
+
+  return { fields };
+};
+
+// Check and normalise a recurrence rule given either as { rrule } or as
+// { frequency, interval, weekdays, monthDay, until }. Monthly rules without
+// a month day get `defaultMonthDay`, normally the day of the series' first
+// due date, so occurrences go back to that day after shorter months.
+// Returns { rule } or { error }.
+export const parseRecurrence = (input, defaultMonthDay = null) => {
+  let fields = input;
+  if (typeof input?.rrule === "string") {
+    const parsed = parseRRule(input.rrule);
+    if (parsed.error) return parsed;
+    fields = parsed.fields;
+  }
+
+  const {
+    frequency,
+    interval = 1,
+    weekdays = [],
+    monthDay = null,
+    until = null,
+  } = fields || {};
+
+  if (!FREQUENCIES.includes(frequency)) {
+    return { error: "Frequency must be daily, weekly or monthly" };
+  }
+  if (!Number.isInteger(Number(interval)) || Number(interval) < 1) {
+    return { error: "Interval must be a positive whole number" };
+  }
+  if (
+    !Array.isArray(weekdays) ||
+    weekdays.some((weekday) => !WEEKDAYS.includes(weekday))
+  ) {
+    return { error: `Weekdays must be some of ${WEEKDAYS.join(", ")}` };
+  }
+  if (weekdays.length > 0 && frequency !== "weekly") {
+    return { error: "Weekdays can only be set on weekly rules" };
+  }
+  if (monthDay !== null) {
+    if (!Number.isInteger(Number(monthDay)) || monthDay < 1 || monthDay > 31) {
+      return { error: "Month day must be between 1 and 31" };
+    }
+    if (frequency !== "monthly") {
+      return { error: "Month day can only be set on monthly rules" };
+    }
+  }
+  if (until !== null && Number.isNaN(new Date(until).getTime())) {
+    return { error: "Until must be a valid date" };
+  }
+
+  return {
+    rule: {
+      frequency,
+      interval: Number(interval),
+      weekdays: [...new Set(weekdays)].sort(
+        (a, b) => WEEKDAYS.indexOf(a) - WEEKDAYS.indexOf(b)
+      ),
+      monthDay:
+        monthDay === null
+          ? (frequency === "monthly" && defaultMonthDay) || null
+          : Number(monthDay),
+      until: until === null ? null : new Date(until),
+    },
+  };
+};
+
+// Next date after `after` that matches the rule, at the same time of day.
+// Returns null once the rule's until date has passed.
+export const getNextOccurrence = (rule, after) => {
+  let next = null;
+
+  if (rule.frequency === "daily") {
+    next = new Date(after.getTime() + rule.interval * DAY);
+  } else if (rule.frequency === "weekly") {
+    const weekdays =
+      rule.weekdays.length > 0 ? rule.weekdays : [WEEKDAYS[after.getUTCDay()]];
+
+    for (let days = 1; days <= 7 * rule.interval + 7; days += 1) {
+      const candidate = new Date(after.getTime() + days * DAY);
+      if (
+        weekdays.includes(WEEKDAYS[candidate.getUTCDay()]) &&
+        (weekIndex(candidate) - weekIndex(after)) % rule.interval === 0
+      ) {
+        next = candidate;
+        break;
+      }
+    }
+  } else {
+    // Months without the day use their last day instead
+    const monthDay = rule.monthDay || after.getUTCDate();
+
+    for (let months = 0; !next; months += rule.interval) {
+      const year = after.getUTCFullYear();
+      const month = after.getUTCMonth() + months;
+      const candidate = new Date(after);
+      candidate.setUTCFullYear(
+        year,
+        month,
+        Math.min(monthDay, daysInMonth(year, month))
+      );
+      if (candidate > after) next = candidate;
+    }
+  }
+
+  if (rule.until && next > rule.until) return null;
+  return next;
+};
+
+// Describe a rule as an RRULE string
+export const toRRule = (rule) => {
+  const parts = [`FREQ=${rule.frequency.toUpperCase()}`];
+  if (rule.interval > 1) parts.push(`INTERVAL=${rule.interval}`);
+  if (rule.weekdays?.length > 0) parts.push(`BYDAY=${rule.weekdays.join(",")}`);
+  if (rule.monthDay) parts.push(`BYMONTHDAY=${rule.monthDay}`);
+  if (rule.until) {
+    parts.push(
+      `UNTIL=${rule.until.toISOString().replace(/[-:]/g, "").split(".")[0]}Z`
+    );
+  }
+  return parts.join(";");
+};
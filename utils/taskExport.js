@@ -0,0 +1,176 @@
+import { once } from "events";
+import ExcelJS from "exceljs";
+
+// Task export to CSV, JSON and Excel. Tasks are read from a cursor and
+// written to the response as they arrive, so exports of any size use
+// little memory.
+
+export const EXPORT_FORMATS = ["csv", "json", "xlsx"];
+
+const CONTENT_TYPES = {
+  csv: "text/csv; charset=utf-8",
+  json: "application/json; charset=utf-8",
+  xlsx: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+};
+
+// Columns that can be exported, by key. `value` gives the JSON value;
+// spreadsheet cells use `cell` when a column has one, and otherwise join
+// arrays and write dates as dates.
+const EXPORT_COLUMNS = {
+  id: { header: "ID", value: (task) => task._id.toString() },
+  title: { header: "Title", value: (task) => task.title },
+  description: {
+    header: "Description",
+    value: (task) => task.description || "",
+  },
+  boardId: { header: "Board ID", value: (task) => task.boardId.toString() },
+  status: { header: "Status", value: (task) => task.status },
+  priority: { header: "Priority", value: (task) => task.priority },
+  assignee: {
+    header: "Assignee",
+    value: (task) => task.assigneeId?.name || task.assignee,
+  },
+  assigneeEmail: {
+    header: "Assignee Email",
+    value: (task) => task.assigneeId?.email || "",
+  },
+  createdBy: {
+    header: "Created By",
+    value: (task) => task.createdBy?.name || "",
+  },
+  dueDate: { header: "Due Date", value: (task) => task.dueDate },
+  completedAt: { header: "Completed At", value: (task) => task.completedAt },
+  tags: { header: "Tags", value: (task) => task.tags },
+  isOverdue: { header: "Overdue", value: (task) => task.isOverdue },
+  subtaskProgress: {
+    header: "Subtasks",
+    value: (task) => task.subtaskProgress,
+    cell: ({ completed, total }) => `${completed}/${total}`,
+  },
+  timeSpent: {
+    header: "Time Spent (seconds)",
+    value: (task) => task.timeSpent,
+  },
+  formattedTimeSpent: {
+    header: "Time Spent",
+    value: (task) => task.formattedTimeSpent,
+  },
+  createdAt: { header: "Created At", value: (task) => task.createdAt },
+  updatedAt: { header: "Updated At", value: (task) => task.updatedAt },
+};
+
+export const EXPORT_COLUMN_KEYS = Object.keys(EXPORT_COLUMNS);
+
+// Columns exported when none are chosen
+export const DEFAULT_EXPORT_COLUMNS = [
+  "id",
+  "title",
+  "status",
+  "priority",
+  "assignee",
+  "dueDate",
+  "tags",
+  "isOverdue",
+  "subtaskProgress",
+  "formattedTimeSpent",
+  "createdAt",
+];
+
+// Value of a column as a spreadsheet cell
+const toCell = (column, task) => {
+  const value = column.value(task);
+  if (value === null || value === undefined) return null;
+  if (column.cell) return column.cell(value);
+  if (Array.isArray(value)) return value.join(", ");
+  return value;
+};
+
+// Text that spreadsheet apps would run as a formula is quoted, so exported
+// task titles cannot inject formulas
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+const toCsvField = (value) => {
+  if (value === null) return "";
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (typeof value === "string" && FORMULA_START.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Write a chunk, waiting while the client catches up. Returns false once
+// the client has gone away.
+const write = async (res, chunk) => {
+  if (res.destroyed) return false;
+  if (!res.write(chunk)) {
+    await Promise.race([once(res, "drain"), once(res, "close")]);
+  }
+  return !res.destroyed;
+};
+
+const writeCsv = async (res, tasks, columns) => {
+  // The byte order mark makes Excel read the file as UTF-8
+  const header = columns.map((column) => toCsvField(column.header));
+  await write(res, `\uFEFF${header.join(",")}\r\n`);
+
+  for await (const task of tasks) {
+    const row = columns.map((column) => toCsvField(toCell(column, task)));
+    if (!(await write(res, `${row.join(",")}\r\n`))) return;
+  }
+  res.end();
+};
+
+const writeJson = async (res, tasks, columns) => {
+  await write(res, "[");
+
+  let first = true;
+  for await (const task of tasks) {
+    const row = Object.fromEntries(
+      columns.map((column) => [column.key, column.value(task) ?? null])
+    );
+    const chunk = `${first ? "" : ","}\n${JSON.stringify(row)}`;
+    if (!(await write(res, chunk))) return;
+    first = false;
+  }
+  res.end(first ? "]" : "\n]");
+};
+
+const writeXlsx = async (res, tasks, columns) => {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({
+    stream: res,
+    useStyles: true,
+  });
+  const sheet = workbook.addWorksheet("Tasks", {
+    views: [{ state: "frozen", ySplit: 1 }],
+  });
+  sheet.columns = columns.map((column) => ({
+    header: column.header,
+    key: column.key,
+    width: Math.max(column.header.length + 2, 12),
+  }));
+  sheet.getRow(1).font = { bold: true };
+
+  for await (const task of tasks) {
+    if (res.destroyed) return;
+    sheet.addRow(columns.map((column) => toCell(column, task))).commit();
+  }
+  sheet.commit();
+  await workbook.commit();
+};
+
+const WRITERS = { csv: writeCsv, json: writeJson, xlsx: writeXlsx };
+
+// Stream tasks to the response as a file download. `tasks` is an async
+// iterable such as a query cursor; `columnKeys` are keys of EXPORT_COLUMNS.
+export const streamTaskExport = async (res, tasks, { format, columnKeys }) => {
+  const columns = columnKeys.map((key) => ({ key, ...EXPORT_COLUMNS[key] }));
+  const filename = `tasks-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+  res.status(200).set({
+    "Content-Type": CONTENT_TYPES[format],
+    "Content-Disposition": `attachment; filename="${filename}"`,
+    "Cache-Control": "no-store",
+  });
+
+  await WRITERS[format](res, tasks, columns);
+};
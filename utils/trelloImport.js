@@ -0,0 +1,381 @@
+import mongoose from "mongoose";
+import Board from "../models/Board.js";
+import Task from "../models/Task.js";
+import User from "../models/User.js";
+
+// Import of a Trello board JSON export (Board menu > Print and export >
+// Export as JSON). Planning reads the export and maps it onto a board and
+// tasks without writing anything, so a dry run shows exactly what an import
+// would create and what it would leave out.
+
+// Field limits of the models the export is mapped onto
+const MAX_BOARD_NAME = 100;
+const MAX_BOARD_DESCRIPTION = 1000;
+const MAX_COLUMN_NAME = 50;
+const MAX_TITLE = 100;
+const MAX_DESCRIPTION = 1000;
+
+// Trello exports include at most this many of the board's latest actions
+const TRELLO_ACTION_LIMIT = 1000;
+
+// Lists with these names become done columns unless `doneLists` is given
+const DONE_LIST_NAME = /^(done|complete|completed|finished|closed)$/i;
+
+// Cards without a due date are due this many days after the import, unless
+// a `defaultDueDate` is given
+const DEFAULT_DUE_DAYS = 30;
+
+const truncate = (text, length) =>
+  text.length > length ? `${text.slice(0, length - 1)}…` : text;
+
+const byPosition = (a, b) => (a.pos || 0) - (b.pos || 0);
+
+const isEmail = (value) => typeof value === "string" && value.includes("@");
+
+// Match Trello members to user accounts, through `memberMap` (Trello member
+// ID or username to user ID or email) or else the member's email address
+const matchMembers = async (members, memberMap) => {
+  const mapped = (key) =>
+    Object.hasOwn(memberMap, key) ? memberMap[key] : undefined;
+
+  const targets = new Map();
+  for (const member of members) {
+    const target = mapped(member.id) ?? mapped(member.username) ?? member.email;
+    if (target) targets.set(member.id, String(target).toLowerCase());
+  }
+
+  const values = [...targets.values()];
+  const users = await User.find({
+    isActive: true,
+    $or: [
+      {
+        _id: {
+          $in: values.filter((value) => mongoose.isValidObjectId(value)),
+        },
+      },
+      { email: { $in: values.filter(isEmail) } },
+    ],
+  }).select("name email role");
+
+  const matched = new Map();
+  for (const [memberId, value] of targets) {
+    const user = users.find(
+      (candidate) =>
+        candidate._id.toString() === value || candidate.email === value
+    );
+    if (user) matched.set(memberId, user);
+  }
+  return matched;
+};
+
+// Map a Trello export onto a board and its tasks for `user`. Returns
+// { error } when the export cannot be imported at all, otherwise { plan,
+// report }: the plan is what runTrelloImport creates, the report lists what
+// was mapped, skipped or changed on the way.
+export const planTrelloImport = async (
+  data,
+  {
+    user,
+    memberMap = {},
+    doneLists = null,
+    includeArchived = false,
+    defaultDueDate = null,
+  }
+) => {
+  if (!data || typeof data !== "object" || !Array.isArray(data.lists)) {
+    return { error: "This is not a Trello board export" };
+  }
+
+  const skipped = [];
+  const warnings = [];
+  const skip = (type, item, reason) =>
+    skipped.push({ type, id: item.id, name: item.name, reason });
+  const warn = (type, item, message) =>
+    warnings.push({ type, id: item.id, name: item.name, message });
+
+  // Members
+  const members = data.members || [];
+  const matched = await matchMembers(members, memberMap);
+  const memberName = (memberId) =>
+    members.find((member) => member.id === memberId)?.fullName || memberId;
+
+  // Lists become columns
+  const doneNames = doneLists?.map((name) => name.toLowerCase());
+  const isDoneList = (list) =>
+    doneNames
+      ? doneNames.includes(list.id.toLowerCase()) ||
+        doneNames.includes(list.name.toLowerCase())
+      : DONE_LIST_NAME.test(list.name.trim());
+
+  const columnBoard = new Board({ columns: [] });
+  const columns = new Map();
+  for (const list of [...data.lists].sort(byPosition)) {
+    if (list.closed && !includeArchived) {
+      skip("list", list, "List is archived");
+      continue;
+    }
+
+    let name = list.name?.trim() || "Untitled list";
+    if (name.length > MAX_COLUMN_NAME) {
+      name = truncate(name, MAX_COLUMN_NAME);
+      warn("list", list, `Name shortened to ${MAX_COLUMN_NAME} characters`);
+    }
+    const column = {
+      key: columnBoard.generateColumnKey(name),
+      name,
+      isDone: isDoneList(list),
+    };
+    columnBoard.columns.push(column);
+    columns.set(list.id, column);
+  }
+
+  if (columns.size === 0) {
+    return { error: "The export has no lists to import" };
+  }
+
+  // Labels become tags; unnamed labels go by their colour
+  const labels = new Map(
+    (data.labels || [])
+      .map((label) => [label.id, (label.name || label.color || "").trim()])
+      .filter(([, tag]) => tag)
+  );
+
+  const checklists = data.checklists || [];
+
+  // Comments come from the board's actions, oldest first
+  const actions = data.actions || [];
+  const commentActions = actions
+    .filter((action) => action.type === "commentCard" && action.data?.text)
+    .sort((a, b) => new Date(a.date) - new Date(b.date));
+  if (actions.length >= TRELLO_ACTION_LIMIT) {
+    warnings.push({
+      type: "board",
+      id: data.id,
+      name: data.name,
+      message: `Trello exports only include the latest ${TRELLO_ACTION_LIMIT} actions, so older comments may be missing`,
+    });
+  }
+
+  const fallbackDueDate = defaultDueDate
+    ? new Date(defaultDueDate)
+    : new Date(Date.now() + DEFAULT_DUE_DAYS * 24 * 60 * 60 * 1000);
+  let cardsWithoutDueDate = 0;
+
+  // Cards become tasks, in list order
+  const tasks = [];
+  for (const card of [...(data.cards || [])].sort(byPosition)) {
+    const column = columns.get(card.idList);
+    if (!column) {
+      skip("card", card, "Card is on an archived or missing list");
+      continue;
+    }
+    if (card.closed && !includeArchived) {
+      skip("card", card, "Card is archived");
+      continue;
+    }
+
+    let title = card.name?.trim() || "Untitled card";
+    if (title.length > MAX_TITLE) {
+      title = truncate(title, MAX_TITLE);
+      warn("card", card, `Title shortened to ${MAX_TITLE} characters`);
+    }
+
+    let description = card.desc || "";
+    if (description.length > MAX_DESCRIPTION) {
+      description = truncate(description, MAX_DESCRIPTION);
+      warn(
+        "card",
+        card,
+        `Description shortened to ${MAX_DESCRIPTION} characters`
+      );
+    }
+
+    // Tasks have one assignee: the first card member with an account
+    const cardMembers = (card.idMembers || []).filter((id) => matched.has(id));
+    const assignee =
+      cardMembers.length > 0 ? matched.get(cardMembers[0]) : user;
+    if ((card.idMembers || []).length > 0 && cardMembers.length === 0) {
+      warn("card", card, "No card member has an account; assigned to you");
+    } else if (cardMembers.length > 1) {
+      warn(
+        "card",
+        card,
+        `Only ${assignee.name} was assigned; tasks have one assignee`
+      );
+    }
+
+    if (!card.due) cardsWithoutDueDate += 1;
+
+    // Checklist items become subtasks, named after their checklist when a
+    // card has several
+    const cardChecklists = checklists
+      .filter((checklist) => checklist.idCard === card.id)
+      .sort(byPosition);
+    const subtasks = cardChecklists.flatMap((checklist) =>
+      (checklist.checkItems || [])
+        .filter((item) => item.name?.trim())
+        .sort(byPosition)
+        .map((item) => {
+          const itemAssignee = matched.get(item.idMember) || null;
+          return {
+            text:
+              cardChecklists.length > 1
+                ? `${checklist.name}: ${item.name}`
+                : item.name,
+            completed: item.state === "complete",
+            assignee: itemAssignee?.name || null,
+            assigneeId: itemAssignee?._id || null,
+            dueDate: item.due ? new Date(item.due) : null,
+          };
+        })
+    );
+
+    // Comments by members without an account are posted as you, naming
+    // the original author
+    const comments = commentActions
+      .filter((action) => action.data.card?.id === card.id)
+      .map((action) => {
+        const author = matched.get(action.idMemberCreator);
+        const authorName =
+          action.memberCreator?.fullName || memberName(action.idMemberCreator);
+        const commenter = author || user;
+        return {
+          text: author
+            ? action.data.text
+            : `${authorName} (imported from Trello): ${action.data.text}`,
+          author: commenter.name,
+          authorId: commenter._id,
+          authorRole: commenter.role,
+          createdAt: new Date(action.date),
+        };
+      });
+
+    if (card.badges?.attachments > 0) {
+      warn("card", card, "Attachments are not imported");
+    }
+
+    tasks.push({
+      cardId: card.id,
+      title,
+      description,
+      status: column.key,
+      assignee,
+      dueDate: card.due ? new Date(card.due) : fallbackDueDate,
+      tags: [
+        ...new Set(
+          (card.idLabels || [])
+            .filter((id) => labels.has(id))
+            .map((id) => labels.get(id).toLowerCase())
+        ),
+      ],
+      subtasks,
+      comments,
+      isArchived: Boolean(card.closed),
+    });
+  }
+
+  if (cardsWithoutDueDate > 0) {
+    warnings.push({
+      type: "board",
+      id: data.id,
+      name: data.name,
+      message: `${cardsWithoutDueDate} cards have no due date and will be due ${fallbackDueDate.toISOString()}`,
+    });
+  }
+
+  // Every matched member joins the board
+  const boardMembers = [...new Set(matched.values())].filter(
+    (member) => !member._id.equals(user._id)
+  );
+
+  const unmatched = members.filter((member) => !matched.has(member.id));
+
+  const plan = {
+    board: {
+      name: truncate(data.name?.trim() || "Trello import", MAX_BOARD_NAME),
+      description: truncate(data.desc || "", MAX_BOARD_DESCRIPTION),
+      columns: columnBoard.columns.map(({ key, name, isDone }) => ({
+        key,
+        name,
+        isDone,
+      })),
+    },
+    members: boardMembers,
+    tasks,
+  };
+
+  const report = {
+    counts: {
+      columns: plan.board.columns.length,
+      tasks: tasks.length,
+      subtasks: tasks.reduce((sum, task) => sum + task.subtasks.length, 0),
+      comments: tasks.reduce((sum, task) => sum + task.comments.length, 0),
+      tags: new Set(tasks.flatMap((task) => task.tags)).size,
+      skipped: skipped.length,
+    },
+    members: {
+      matched: members
+        .filter((member) => matched.has(member.id))
+        .map((member) => ({
+          trelloId: member.id,
+          name: member.fullName,
+          username: member.username,
+          userId: matched.get(member.id)._id,
+          email: matched.get(member.id).email,
+        })),
+      unmatched: unmatched.map((member) => ({
+        trelloId: member.id,
+        name: member.fullName,
+        username: member.username,
+      })),
+    },
+    skipped,
+    warnings,
+  };
+
+  return { plan, report };
+};
+
+// Create the board and tasks of a plan made by planTrelloImport. Nothing is
+// left behind if it fails partway. Returns the board and the tasks.
+export const runTrelloImport = async (plan, user) => {
+  const board = await Board.create({
+    ...plan.board,
+    owner: user._id,
+    members: plan.members.map((member) => ({
+      user: member._id,
+      role: "editor",
+    })),
+  });
+
+  const tasks = [];
+  try {
+    for (const planned of plan.tasks) {
+      const task = new Task({
+        title: planned.title,
+        description: planned.description,
+        boardId: board._id,
+        status: planned.status,
+        assignee: planned.assignee.name,
+        assigneeId: planned.assignee._id,
+        dueDate: planned.dueDate,
+        tags: planned.tags,
+        subtasks: planned.subtasks,
+        comments: planned.comments,
+        createdBy: user._id,
+      });
+      if (planned.isArchived) {
+        task.isArchived = true;
+        task.archivedAt = new Date();
+        task.archivedBy = user._id;
+      }
+      tasks.push(await task.saveWithRank());
+    }
+  } catch (error) {
+    await Task.deleteMany({ boardId: board._id });
+    await board.deleteOne();
+    throw error;
+  }
+
+  return { board, tasks };
+};
@@ -0,0 +1,238 @@
+import dns from "dns";
+import http from "http";
+import https from "https";
+import net from "net";
+import Webhook from "../models/Webhook.js";
+import WebhookDelivery from "../models/WebhookDelivery.js";
+import getWebhookConfig, {
+  MAX_RETRY_DELAY_SECONDS,
+} from "../config/webhooks.js";
+import { taskPayload } from "../socket/taskEvents.js";
+
+// Addresses webhooks are never sent to: loopback, private, link-local
+// (which includes cloud metadata services at 169.254.169.254) and other
+// special-purpose ranges, so webhooks cannot reach the server's own network
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 3],
+].forEach(([address, prefix]) =>
+  BLOCKED_ADDRESSES.addSubnet(address, prefix, "ipv4")
+);
+[
+  ["::", 127],
+  ["64:ff9b::", 96],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+].forEach(([address, prefix]) =>
+  BLOCKED_ADDRESSES.addSubnet(address, prefix, "ipv6")
+);
+
+const isBlockedAddress = (address) => {
+  const family = net.isIP(address);
+  if (family === 0) return false;
+  return BLOCKED_ADDRESSES.check(address, family === 6 ? "ipv6" : "ipv4");
+};
+
+// Whether a URL's host is a local name or a blocked IP address. Host names
+// are checked again on every delivery, against the addresses they resolve
+// to.
+export const isPrivateUrl = (url) => {
+  const hostname = new URL(url).hostname.replace(/^\[|\]$/g, "").toLowerCase();
+  return (
+    hostname === "localhost" ||
+    hostname.endsWith(".localhost") ||
+    isBlockedAddress(hostname)
+  );
+};
+
+// DNS lookup for webhook requests that fails when the host resolves to a
+// blocked address. The request connects to the address checked here, so a
+// host cannot pass the check and then resolve somewhere else.
+const lookupPublicAddress = (hostname, options, callback) => {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error);
+
+    const addresses = Array.isArray(address) ? address : [{ address }];
+    const blocked = addresses.find((entry) => isBlockedAddress(entry.address));
+    if (blocked) {
+      return callback(
+        new Error(
+          `${hostname} resolves to a private address (${blocked.address})`
+        )
+      );
+    }
+    callback(null, address, family);
+  });
+};
+
+// POST a body and resolve with the response status code. The response body
+// is discarded, so nothing a receiver sends back ends up in the log.
+// Redirects are not followed, so deliveries only go where configured.
+const postJson = (url, headers, body, signal) =>
+  new Promise((resolve, reject) => {
+    const client = url.protocol === "https:" ? https : http;
+    const request = client.request(
+      url,
+      { method: "POST", headers, signal, lookup: lookupPublicAddress },
+      (response) => {
+        response.on("end", () => resolve(response.statusCode));
+        response.on("error", reject);
+        response.resume();
+      }
+    );
+    request.on("error", reject);
+    request.end(body);
+  });
+
+// Task data sent to webhooks. Receivers get what an admin would see.
+export const webhookTaskData = (task) => taskPayload(task, "admin");
+
+// Queue an event for every active webhook subscribed to it, one delivery
+// per item of `payloads`, and start sending them
+export const queueWebhookEvents = async (event, payloads) => {
+  if (payloads.length === 0) return;
+
+  try {
+    const webhooks = await Webhook.findForEvent(event).select("_id");
+    if (webhooks.length === 0) return;
+
+    await WebhookDelivery.insertMany(
+      webhooks.flatMap((webhook) =>
+        payloads.map((payload) => ({ webhook: webhook._id, event, payload }))
+      )
+    );
+  } catch (error) {
+    // Webhooks must not fail the request that caused the event
+    console.error(`Failed to queue ${event} webhooks:`, error);
+    return;
+  }
+
+  sendDueDeliveries().catch((error) => {
+    console.error("Webhook delivery failed:", error);
+  });
+};
+
+// Queue one event for every active webhook subscribed to it
+export const queueWebhookEvent = (event, payload) =>
+  queueWebhookEvents(event, [payload]);
+
+// Wait before retrying a delivery that has failed `attempts` times
+const getRetryDelay = (attempts) => {
+  const { retryBaseSeconds } = getWebhookConfig();
+  const seconds = Math.min(
+    retryBaseSeconds * 2 ** (attempts - 1),
+    MAX_RETRY_DELAY_SECONDS
+  );
+  return seconds * 1000;
+};
+
+// POST a delivery to its webhook's URL. Returns the response to record.
+const postDelivery = async (webhook, delivery) => {
+  const { timeoutSeconds } = getWebhookConfig();
+  const body = JSON.stringify({
+    id: delivery._id,
+    event: delivery.event,
+    createdAt: delivery.createdAt,
+    data: delivery.payload,
+  });
+  const timestamp = Math.floor(Date.now() / 1000);
+  const attemptedAt = new Date();
+
+  try {
+    if (isPrivateUrl(webhook.url)) {
+      throw new Error("Webhook URL points to a private address");
+    }
+
+    const statusCode = await postJson(
+      new URL(webhook.url),
+      {
+        "Content-Type": "application/json",
+        "Content-Length": Buffer.byteLength(body),
+        "User-Agent": "TaskManager-Webhooks/1.0",
+        "X-Webhook-Id": webhook._id.toString(),
+        "X-Webhook-Delivery": delivery._id.toString(),
+        "X-Webhook-Event": delivery.event,
+        "X-Webhook-Timestamp": timestamp.toString(),
+        "X-Webhook-Signature": `sha256=${webhook.sign(timestamp, body)}`,
+      },
+      body,
+      AbortSignal.timeout(timeoutSeconds * 1000)
+    );
+    const ok = statusCode >= 200 && statusCode < 300;
+
+    return {
+      attemptedAt,
+      statusCode,
+      error: ok ? null : `Receiver responded with ${statusCode}`,
+      durationMs: Date.now() - attemptedAt.getTime(),
+    };
+  } catch (error) {
+    return {
+      attemptedAt,
+      statusCode: null,
+      error:
+        error.cause?.name === "TimeoutError"
+          ? `No response within ${timeoutSeconds} seconds`
+          : error.message,
+      durationMs: Date.now() - attemptedAt.getTime(),
+    };
+  }
+};
+
+// Send a claimed delivery and record the outcome, scheduling a retry after
+// a failure until the attempts run out. Returns the updated delivery.
+export const sendDelivery = async (delivery) => {
+  const webhook = await Webhook.findById(delivery.webhook).select("+secret");
+
+  if (!webhook || !webhook.isActive) {
+    return delivery.recordResponse(
+      {
+        attemptedAt: new Date(),
+        error: webhook ? "Webhook is inactive" : "Webhook was deleted",
+      },
+      null
+    );
+  }
+
+  const response = await postDelivery(webhook, delivery);
+  const { maxAttempts } = getWebhookConfig();
+  const nextAttemptAt =
+    delivery.attempts < maxAttempts
+      ? new Date(Date.now() + getRetryDelay(delivery.attempts))
+      : null;
+
+  return delivery.recordResponse(response, nextAttemptAt);
+};
+
+// Run that is sending due deliveries, so events queued meanwhile do not
+// start another one
+let sending = null;
+
+// Send every delivery that is due, one at a time. Returns how many were
+// sent successfully.
+export const sendDueDeliveries = () => {
+  if (!sending) {
+    sending = (async () => {
+      let succeeded = 0;
+      let delivery;
+      while ((delivery = await WebhookDelivery.claimNext())) {
+        const result = await sendDelivery(delivery);
+        if (result?.status === "succeeded") succeeded += 1;
+      }
+      return succeeded;
+    })().finally(() => {
+      sending = null;
+    });
+  }
+  return sending;
+};